@@ -2,10 +2,18 @@
 
 
 import './model/Bucket.js';
+import './model/DerivedFractionProperty.js';
 import './model/Fraction.js';
+import './model/FractionDecomposition.js';
+import './model/FractionGenerator.js';
+import './model/FractionMap.js';
+import './model/FractionSet.js';
+import './model/Ratio.js';
+import './model/RationalVector2.js';
 import './model/SphereBucket.js';
 import phetcommon from './phetcommon.js';
 import './util/StringUtils.js';
+import './view/FractionNumberLine.js';
 import './view/ModelViewTransform2.js';
 
 export default phetcommon;
\ No newline at end of file
@@ -0,0 +1,387 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * An exact, arbitrary-precision fraction whose numerator and denominator are BigInts. It has the same API as Fraction,
+ * but is not limited to integers < 2^53, so chained operations (which easily overflow Fraction) remain exact.
+ *
+ * A BigFraction is always kept in canonical form: reduced, with a positive denominator. This keeps operands small,
+ * and means that structural equality and value equality are the same thing.
+ *
+ * Use BigFraction.fromFraction and toFraction to convert to and from the number-based Fraction.
+ *
+ * BigInt is not supported on some platforms that PhET supports (e.g. Safari < 14), so this module doesn't use BigInt
+ * until a BigFraction is created, and it is not imported by main.js. Import it directly where it's needed.
+ */
+
+import phetcommon from '../phetcommon.js';
+import Fraction from './Fraction.js';
+
+// BigInt constants, so that we don't need BigInt literals. These are created with the first BigFraction, so that
+// loading this module doesn't fail on platforms that don't support BigInt.
+let ZERO = null;
+let ONE = null;
+
+class BigFraction {
+
+  /**
+   * @param {bigint|number} numerator - must be an integer
+   * @param {bigint|number} denominator - must be a non-zero integer
+   * @throws {Error} if BigInt is not supported, or the denominator is zero
+   */
+  constructor( numerator, denominator ) {
+    if ( ZERO === null ) {
+      if ( typeof BigInt === 'undefined' ) {
+        throw new Error( 'BigFraction requires BigInt, which is not supported on this platform' );
+      }
+      ZERO = BigInt( 0 );
+      ONE = BigInt( 1 );
+    }
+
+    // @private use set/get so that values are verified and kept in canonical form
+    this._numerator = ZERO;
+    this._denominator = ONE;
+
+    this.setValues( numerator, denominator );
+  }
+
+  /**
+   * Gets the numerator.
+   * @returns {bigint}
+   * @public
+   */
+  get numerator() { return this._numerator; }
+
+  /**
+   * Gets the denominator, which is always positive.
+   * @returns {bigint}
+   * @public
+   */
+  get denominator() { return this._denominator; }
+
+  /**
+   * Sets the numerator and denominator, then reduces and normalizes the sign so that the denominator is positive.
+   * @param {bigint|number} numerator - must be an integer
+   * @param {bigint|number} denominator - must be a non-zero integer
+   * @returns {BigFraction} - Reference to this for chaining
+   * @throws {Error} if the denominator is zero
+   * @public
+   */
+  setValues( numerator, denominator ) {
+    numerator = toBigInt( numerator );
+    denominator = toBigInt( denominator );
+    if ( denominator === ZERO ) {
+      throw new Error( `denominator must be non-zero: ${numerator}/${denominator}` );
+    }
+
+    if ( denominator < ZERO ) {
+      numerator = -numerator;
+      denominator = -denominator;
+    }
+
+    const gcd = bigGCD( numerator, denominator );
+    this._numerator = numerator / gcd;
+    this._denominator = denominator / gcd;
+    return this;
+  }
+
+  /**
+   * Gets the value as a floating-point number. This is subject to floating-point error, and may be +/-Infinity
+   * or NaN if the numerator or denominator is too large to be represented as a number.
+   * @returns {number}
+   * @public
+   */
+  getValue() {
+    return Number( this.numerator ) / Number( this.denominator );
+  }
+
+  get value() { return this.getValue(); }
+
+  /**
+   * Does this fraction have an integer value?
+   * @returns {boolean}
+   * @public
+   */
+  isInteger() {
+    return this.denominator === ONE;
+  }
+
+  // @public
+  toString() {
+    return `${this.numerator}/${this.denominator}`;
+  }
+
+  // @public
+  copy() {
+    return new BigFraction( this.numerator, this.denominator );
+  }
+
+  /**
+   * BigFraction is always reduced, so this does nothing. Provided for API compatibility with Fraction.
+   * @returns {BigFraction} returns this, to support chaining of operations
+   * @public
+   */
+  reduce() {
+    return this;
+  }
+
+  /**
+   * Creates a reduced instance of this fraction. Provided for API compatibility with Fraction.
+   * @returns {BigFraction}
+   * @public
+   */
+  reduced() {
+    return this.copy();
+  }
+
+  /**
+   * BigFraction is always reduced. Provided for API compatibility with Fraction.
+   * @returns {boolean}
+   * @public
+   */
+  isReduced() {
+    return true;
+  }
+
+  /**
+   * Returns whether the two fractions are equal. Since BigFraction is always reduced, this is value equality.
+   * @public
+   *
+   * @param {BigFraction} fraction
+   * @returns {boolean}
+   */
+  equals( fraction ) {
+    return ( this.numerator === fraction.numerator ) && ( this.denominator === fraction.denominator );
+  }
+
+  /**
+   * Compares the value of this fraction to the value of the provided fraction.
+   * @public
+   *
+   * @param {BigFraction} fraction
+   * @returns {number} -1 if this < fraction, 0 if this === fraction, 1 if this > fraction
+   */
+  compareTo( fraction ) {
+    assert && assert( fraction instanceof BigFraction, `fraction is not a BigFraction: ${fraction}` );
+
+    // Denominators are positive, so cross-multiplying preserves the order.
+    const left = this.numerator * fraction.denominator;
+    const right = fraction.numerator * this.denominator;
+    return ( left < right ) ? -1 : ( left > right ) ? 1 : 0;
+  }
+
+  /**
+   * Returns whether this fraction has a value that is less than the provided fraction.
+   * @public
+   *
+   * @param {BigFraction} fraction
+   * @returns {boolean}
+   */
+  isLessThan( fraction ) {
+    return this.compareTo( fraction ) === -1;
+  }
+
+  /**
+   * Gets the sign of the value.
+   * @returns {number} -1, 0 or 1
+   * @public
+   */
+  get sign() {
+    return ( this.numerator < ZERO ) ? -1 : ( this.numerator > ZERO ) ? 1 : 0;
+  }
+
+  /**
+   * Returns the absolute value of this fraction.
+   * @returns {BigFraction}
+   * @public
+   */
+  abs() {
+    return new BigFraction( ( this.numerator < ZERO ) ? -this.numerator : this.numerator, this.denominator );
+  }
+
+  /**
+   * Sets the value of this fraction to the provided fraction.
+   * @param {BigFraction} value
+   * @returns {BigFraction} - Reference to this for chaining
+   * @public
+   */
+  set( value ) {
+    this._numerator = value.numerator;
+    this._denominator = value.denominator;
+    return this;
+  }
+
+  /**
+   * Adds the provided fraction into this fraction (mutates this fraction). The result is reduced.
+   * @param {BigFraction} value
+   * @returns {BigFraction} - Reference to this (for chaining)
+   * @public
+   */
+  add( value ) {
+    assert && assert( value instanceof BigFraction, `value is not a BigFraction: ${value}` );
+    return this.setValues( this.numerator * value.denominator + value.numerator * this.denominator,
+      this.denominator * value.denominator );
+  }
+
+  /**
+   * Adds a fraction to this fraction to create a new fraction. The result is reduced.
+   * @param {BigFraction} value
+   * @returns {BigFraction}
+   * @public
+   */
+  plus( value ) {
+    return this.copy().add( value );
+  }
+
+  /**
+   * Subtracts the provided fraction from this fraction (mutates this fraction). The result is reduced.
+   * @param {BigFraction} value
+   * @returns {BigFraction} - Reference to this (for chaining)
+   * @public
+   */
+  subtract( value ) {
+    assert && assert( value instanceof BigFraction, `value is not a BigFraction: ${value}` );
+    return this.setValues( this.numerator * value.denominator - value.numerator * this.denominator,
+      this.denominator * value.denominator );
+  }
+
+  /**
+   * Subtracts a fraction from this fraction to create a new fraction. The result is reduced.
+   * @param {BigFraction} value
+   * @returns {BigFraction}
+   * @public
+   */
+  minus( value ) {
+    return this.copy().subtract( value );
+  }
+
+  /**
+   * Multiplies the provided fraction and this fraction, setting the result into this fraction (mutates).
+   * The result is reduced.
+   * @param {BigFraction} value
+   * @returns {BigFraction} - Reference to this (for chaining)
+   * @public
+   */
+  multiply( value ) {
+    assert && assert( value instanceof BigFraction, `value is not a BigFraction: ${value}` );
+    return this.setValues( this.numerator * value.numerator, this.denominator * value.denominator );
+  }
+
+  /**
+   * Multiplies this fraction by another fraction to create a new fraction. The result is reduced.
+   * @param {BigFraction} value
+   * @returns {BigFraction}
+   * @public
+   */
+  times( value ) {
+    return this.copy().multiply( value );
+  }
+
+  /**
+   * Divides this fraction by the provided fraction, setting the result into this fraction (mutates).
+   * The result is reduced.
+   * @param {BigFraction} value - must be non-zero
+   * @returns {BigFraction} - Reference to this (for chaining)
+   * @throws {Error} if value is zero
+   * @public
+   */
+  divide( value ) {
+    assert && assert( value instanceof BigFraction, `value is not a BigFraction: ${value}` );
+    if ( value.numerator === ZERO ) {
+      throw new Error( `cannot divide ${this} by zero` );
+    }
+    return this.setValues( this.numerator * value.denominator, this.denominator * value.numerator );
+  }
+
+  /**
+   * Divides this fraction by another fraction to create a new fraction. The result is reduced.
+   * @param {BigFraction} value - must be non-zero
+   * @returns {BigFraction}
+   * @throws {Error} if value is zero
+   * @public
+   */
+  divided( value ) {
+    return this.copy().divide( value );
+  }
+
+  /**
+   * Can this fraction be converted to a Fraction without loss of exactness?
+   * @returns {boolean}
+   * @public
+   */
+  isSafeFraction() {
+    return isSafeBigInt( this.numerator ) && isSafeBigInt( this.denominator );
+  }
+
+  /**
+   * Converts this fraction to a number-based Fraction. The numerator and denominator must be safe integers,
+   * see isSafeFraction.
+   * @returns {Fraction}
+   * @public
+   */
+  toFraction() {
+    assert && assert( this.isSafeFraction(), `BigFraction is too large to convert to Fraction: ${this}` );
+    return new Fraction( Number( this.numerator ), Number( this.denominator ) );
+  }
+
+  /**
+   * Convenience method for constructing a fraction from an integer.
+   * @param {bigint|number} value - must be an integer
+   * @returns {BigFraction}
+   * @public
+   * @static
+   */
+  static fromInteger( value ) {
+    return new BigFraction( value, 1 );
+  }
+
+  /**
+   * Converts a number-based Fraction to a BigFraction. The result is reduced, with a positive denominator.
+   * @param {Fraction} fraction - must have a non-zero denominator
+   * @returns {BigFraction}
+   * @public
+   * @static
+   */
+  static fromFraction( fraction ) {
+    assert && assert( fraction instanceof Fraction, `fraction is not a Fraction: ${fraction}` );
+    return new BigFraction( fraction.numerator, fraction.denominator );
+  }
+}
+
+/**
+ * Converts an integer number or bigint to a bigint.
+ * @param {bigint|number} value
+ * @returns {bigint}
+ */
+function toBigInt( value ) {
+  assert && assert( typeof value === 'bigint' || Number.isSafeInteger( value ), `value must be an integer: ${value}` );
+  return ( typeof value === 'bigint' ) ? value : BigInt( value );
+}
+
+/**
+ * Greatest common divisor of 2 bigints, always positive. Returns 1 for gcd(0,0) to avoid division by zero.
+ * @param {bigint} a
+ * @param {bigint} b
+ * @returns {bigint}
+ */
+function bigGCD( a, b ) {
+  a = ( a < ZERO ) ? -a : a;
+  b = ( b < ZERO ) ? -b : b;
+  while ( b !== ZERO ) {
+    const t = b;
+    b = a % b;
+    a = t;
+  }
+  return ( a === ZERO ) ? ONE : a;
+}
+
+/**
+ * Is the bigint within the range of integers that can be represented exactly by a number?
+ * @param {bigint} value
+ * @returns {boolean}
+ */
+function isSafeBigInt( value ) {
+  return value <= BigInt( Number.MAX_SAFE_INTEGER ) && value >= BigInt( Number.MIN_SAFE_INTEGER );
+}
+
+phetcommon.register( 'BigFraction', BigFraction );
+export default BigFraction;
@@ -0,0 +1,79 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * BigFraction tests
+ */
+
+import BigFraction from './BigFraction.js';
+import Fraction from './Fraction.js';
+
+QUnit.module( 'BigFraction' );
+
+QUnit.test( 'construction is reduced with positive denominator', assert => {
+  const fraction = new BigFraction( 4, -8 );
+  assert.ok( fraction.numerator === BigInt( -1 ), 'numerator' );
+  assert.ok( fraction.denominator === BigInt( 2 ), 'denominator' );
+  assert.equal( fraction.toString(), '-1/2', 'toString' );
+  assert.ok( new BigFraction( 0, -5 ).equals( new BigFraction( 0, 1 ) ), 'zero' );
+  assert.ok( new BigFraction( BigInt( 6 ), BigInt( 3 ) ).isInteger(), 'isInteger' );
+  assert.throws( () => new BigFraction( 1, 0 ), /denominator must be non-zero/, 'zero denominator' );
+} );
+
+QUnit.test( 'arithmetic', assert => {
+  assert.ok( new BigFraction( 1, 6 ).plus( new BigFraction( 2, 4 ) ).equals( new BigFraction( 2, 3 ) ), 'plus' );
+  assert.ok( new BigFraction( -1, 5 ).minus( new BigFraction( 3, 2 ) ).equals( new BigFraction( -17, 10 ) ), 'minus' );
+  assert.ok( new BigFraction( 1, -5 ).times( new BigFraction( 3, 2 ) ).equals( new BigFraction( -3, 10 ) ), 'times' );
+  assert.ok( new BigFraction( 4, 9 ).divided( new BigFraction( 2, 3 ) ).equals( new BigFraction( 2, 3 ) ), 'divided' );
+  assert.ok( new BigFraction( 2, 3 ).divided( new BigFraction( -1, 2 ) ).equals( new BigFraction( -4, 3 ) ), 'divided negative' );
+  assert.throws( () => new BigFraction( 1, 2 ).divide( new BigFraction( 0, 1 ) ), /cannot divide/, 'divide by zero' );
+
+  const a = new BigFraction( 1, 3 );
+  const b = new BigFraction( 5, 6 );
+  assert.equal( b.subtract( a ), b, 'Chaining' );
+  assert.ok( b.equals( new BigFraction( 1, 2 ) ), 'Mutated b' );
+  assert.ok( a.equals( new BigFraction( 1, 3 ) ), 'Did not mutate a' );
+} );
+
+QUnit.test( 'compare', assert => {
+  assert.equal( new BigFraction( 1, 3 ).compareTo( new BigFraction( 1, 2 ) ), -1, 'compareTo less' );
+  assert.equal( new BigFraction( 2, 4 ).compareTo( new BigFraction( 1, 2 ) ), 0, 'compareTo equal' );
+  assert.equal( new BigFraction( 1, -3 ).compareTo( new BigFraction( -1, 2 ) ), 1, 'compareTo greater' );
+  assert.ok( new BigFraction( -1, 5 ).isLessThan( new BigFraction( 0, 3 ) ), 'isLessThan' );
+  assert.ok( !new BigFraction( 1, 2 ).isLessThan( new BigFraction( 2, 4 ) ), 'not isLessThan' );
+  assert.equal( new BigFraction( -3, 4 ).sign, -1, 'sign' );
+  assert.ok( new BigFraction( -3, 4 ).abs().equals( new BigFraction( 3, 4 ) ), 'abs' );
+} );
+
+QUnit.test( 'exact beyond 2^53', assert => {
+
+  // (2/3)^60 * (3/2)^60 === 1, but the intermediate values overflow Fraction
+  const product = BigFraction.fromInteger( 1 );
+  for ( let i = 0; i < 60; i++ ) {
+    product.multiply( new BigFraction( 2, 3 ) );
+  }
+  assert.ok( !product.isSafeFraction(), 'intermediate value is beyond 2^53' );
+  for ( let i = 0; i < 60; i++ ) {
+    product.multiply( new BigFraction( 3, 2 ) );
+  }
+  assert.ok( product.equals( BigFraction.fromInteger( 1 ) ), 'exact result' );
+
+  // sum of 1/2^k for k=1..70 is 1 - 1/2^70
+  const sum = BigFraction.fromInteger( 0 );
+  const half = new BigFraction( 1, 2 );
+  const term = BigFraction.fromInteger( 1 );
+  for ( let k = 1; k <= 70; k++ ) {
+    sum.add( term.multiply( half ) );
+  }
+  assert.ok( BigFraction.fromInteger( 1 ).minus( sum ).equals( term ), 'exact sum' );
+} );
+
+QUnit.test( 'conversion to and from Fraction', assert => {
+  const fraction = BigFraction.fromFraction( new Fraction( 6, -8 ) );
+  assert.ok( fraction.equals( new BigFraction( -3, 4 ) ), 'fromFraction' );
+  assert.ok( fraction.toFraction().equals( new Fraction( -3, 4 ) ), 'toFraction' );
+  assert.ok( fraction.toFraction() instanceof Fraction, 'toFraction type' );
+
+  const tooBig = new BigFraction( BigInt( Number.MAX_SAFE_INTEGER ) * BigInt( 2 ), 1 );
+  assert.ok( !tooBig.isSafeFraction(), 'isSafeFraction' );
+  window.assert && assert.throws( () => tooBig.toFraction(), 'toFraction too big' );
+} );
@@ -0,0 +1,131 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * A DerivedProperty whose value is a Fraction, computed from other Properties, e.g. the sum of 2 Fraction-valued
+ * Properties. Static factory methods are provided for common derivations (sum, difference, product, quotient, reduced).
+ *
+ * Since Fraction is mutable, the derivation is called with copies of the dependency values, so that it can safely use
+ * mutating methods like add. The derived value is a frozen copy (see Fraction.freeze), so that clients can't modify
+ * it, and the derivation can't modify it later.
+ *
+ * By default, listeners are notified when the derived value changes structurally, e.g. from 2/4 to 1/2. With
+ * the useValueEquality option, listeners are notified only when the value changes, so not from 2/4 to 1/2.
+ */
+
+import DerivedProperty from '../../../axon/js/DerivedProperty.js';
+import merge from '../../../phet-core/js/merge.js';
+import phetcommon from '../phetcommon.js';
+import Fraction from './Fraction.js';
+
+class DerivedFractionProperty extends DerivedProperty {
+
+  /**
+   * @param {Property[]} dependencies - Properties that this Property's value is derived from
+   * @param {function(...*):Fraction} derivation - function that derives this Property's value, passed a copy of each
+   *   dependency's value (if the value is a Fraction)
+   * @param {Object} [options]
+   */
+  constructor( dependencies, derivation, options ) {
+
+    options = merge( {
+
+      // {boolean} whether listeners are notified only when the value changes (compared using Fraction.valueEquals),
+      // rather than when the numerator or denominator changes (compared using Fraction.equals)
+      useValueEquality: false,
+
+      // DerivedProperty options
+      useDeepEquality: true,
+      phetioType: DerivedProperty.DerivedPropertyIO( Fraction.FractionIO )
+    }, options );
+
+    super( dependencies, ( ...values ) => {
+      const fraction = derivation( ...values.map( value => ( value instanceof Fraction ) ? value.copy() : value ) );
+      assert && assert( fraction instanceof Fraction, `derivation must return a Fraction: ${fraction}` );
+      return fraction.isFrozen() ? fraction : fraction.copy().freeze();
+    }, options );
+
+    // @private
+    this.useValueEquality = options.useValueEquality;
+  }
+
+  /**
+   * Determines whether listeners are notified when the value changes, see options.useValueEquality.
+   * @param {Fraction} a
+   * @param {Fraction} b
+   * @returns {boolean}
+   * @protected
+   * @override
+   */
+  areValuesEqual( a, b ) {
+    return ( this.useValueEquality && a instanceof Fraction && b instanceof Fraction ) ? a.valueEquals( b ) :
+           super.areValuesEqual( a, b );
+  }
+
+  /**
+   * Creates a Property whose value is the sum of the values of Fraction-valued Properties. See Fraction.sum.
+   * @param {Property.<Fraction>[]} fractionProperties
+   * @param {Object} [options] - see constructor
+   * @returns {DerivedFractionProperty} - value is reduced
+   * @public
+   * @static
+   */
+  static sum( fractionProperties, options ) {
+    return new DerivedFractionProperty( fractionProperties, ( ...fractions ) => Fraction.sum( fractions ), options );
+  }
+
+  /**
+   * Creates a Property whose value is the difference of the values of 2 Fraction-valued Properties, a - b.
+   * @param {Property.<Fraction>} aProperty
+   * @param {Property.<Fraction>} bProperty
+   * @param {Object} [options] - see constructor
+   * @returns {DerivedFractionProperty} - value is reduced
+   * @public
+   * @static
+   */
+  static difference( aProperty, bProperty, options ) {
+    return new DerivedFractionProperty( [ aProperty, bProperty ], ( a, b ) => a.subtract( b ).reduce(), options );
+  }
+
+  /**
+   * Creates a Property whose value is the product of the values of Fraction-valued Properties. See Fraction.product.
+   * @param {Property.<Fraction>[]} fractionProperties
+   * @param {Object} [options] - see constructor
+   * @returns {DerivedFractionProperty} - value is reduced
+   * @public
+   * @static
+   */
+  static product( fractionProperties, options ) {
+    return new DerivedFractionProperty( fractionProperties, ( ...fractions ) => Fraction.product( fractions ), options );
+  }
+
+  /**
+   * Creates a Property whose value is the quotient of the values of 2 Fraction-valued Properties, a / b.
+   * @param {Property.<Fraction>} aProperty
+   * @param {Property.<Fraction>} bProperty - its value must be non-zero
+   * @param {Object} [options] - see constructor
+   * @returns {DerivedFractionProperty} - value is reduced
+   * @public
+   * @static
+   */
+  static quotient( aProperty, bProperty, options ) {
+    return new DerivedFractionProperty( [ aProperty, bProperty ], ( a, b ) => {
+      assert && assert( b.numerator !== 0, 'cannot divide by zero' );
+      return a.divide( b ).reduce();
+    }, options );
+  }
+
+  /**
+   * Creates a Property whose value is the reduced value of a Fraction-valued Property.
+   * @param {Property.<Fraction>} fractionProperty
+   * @param {Object} [options] - see constructor
+   * @returns {DerivedFractionProperty}
+   * @public
+   * @static
+   */
+  static reduced( fractionProperty, options ) {
+    return new DerivedFractionProperty( [ fractionProperty ], fraction => fraction.reduce(), options );
+  }
+}
+
+phetcommon.register( 'DerivedFractionProperty', DerivedFractionProperty );
+export default DerivedFractionProperty;
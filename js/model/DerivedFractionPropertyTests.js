@@ -0,0 +1,71 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * DerivedFractionProperty tests
+ */
+
+import Property from '../../../axon/js/Property.js';
+import DerivedFractionProperty from './DerivedFractionProperty.js';
+import Fraction from './Fraction.js';
+
+QUnit.module( 'DerivedFractionProperty' );
+
+QUnit.test( 'factories', assert => {
+  const aProperty = new Property( new Fraction( 1, 2 ) );
+  const bProperty = new Property( new Fraction( 1, 3 ) );
+
+  const sumProperty = DerivedFractionProperty.sum( [ aProperty, bProperty ] );
+  const differenceProperty = DerivedFractionProperty.difference( aProperty, bProperty );
+  const productProperty = DerivedFractionProperty.product( [ aProperty, bProperty ] );
+  const quotientProperty = DerivedFractionProperty.quotient( aProperty, bProperty );
+  const reducedProperty = DerivedFractionProperty.reduced( aProperty );
+
+  assert.ok( sumProperty.value.equals( new Fraction( 5, 6 ) ), 'sum' );
+  assert.ok( differenceProperty.value.equals( new Fraction( 1, 6 ) ), 'difference' );
+  assert.ok( productProperty.value.equals( new Fraction( 1, 6 ) ), 'product' );
+  assert.ok( quotientProperty.value.equals( new Fraction( 3, 2 ) ), 'quotient' );
+  assert.ok( reducedProperty.value.equals( new Fraction( 1, 2 ) ), 'reduced' );
+
+  aProperty.value = new Fraction( 6, 8 );
+  assert.ok( sumProperty.value.equals( new Fraction( 13, 12 ) ), 'sum updates' );
+  assert.ok( differenceProperty.value.equals( new Fraction( 5, 12 ) ), 'difference updates' );
+  assert.ok( productProperty.value.equals( new Fraction( 1, 4 ) ), 'product updates' );
+  assert.ok( quotientProperty.value.equals( new Fraction( 9, 4 ) ), 'quotient updates' );
+  assert.ok( reducedProperty.value.equals( new Fraction( 3, 4 ) ), 'reduced updates' );
+
+  assert.ok( aProperty.value.equals( new Fraction( 6, 8 ) ) && bProperty.value.equals( new Fraction( 1, 3 ) ),
+    'dependency values are not mutated' );
+  assert.ok( sumProperty.value.isFrozen(), 'derived value is frozen' );
+} );
+
+QUnit.test( 'copies and equality', assert => {
+  const fraction = new Fraction( 1, 2 );
+  const fractionProperty = new Property( new Fraction( 1, 4 ) );
+  const derivedProperty = new DerivedFractionProperty( [ fractionProperty ], () => fraction );
+  assert.ok( !fraction.isFrozen(), 'the value returned by the derivation is not frozen' );
+  fraction.add( Fraction.ONE );
+  assert.ok( derivedProperty.value.equals( new Fraction( 1, 2 ) ), 'the derived value is a copy' );
+
+  const countNotifications = property => {
+    let count = 0;
+    property.lazyLink( () => count++ );
+    return () => count;
+  };
+
+  // structural equality by default
+  const structuralProperty = new DerivedFractionProperty( [ fractionProperty ], value => value );
+  const structuralCount = countNotifications( structuralProperty );
+  fractionProperty.value = new Fraction( 1, 4 );
+  assert.equal( structuralCount(), 0, 'not notified for an equal value' );
+  fractionProperty.value = new Fraction( 2, 8 );
+  assert.equal( structuralCount(), 1, 'notified for 1/4 to 2/8' );
+
+  // value equality
+  const valueProperty = new DerivedFractionProperty( [ fractionProperty ], value => value, { useValueEquality: true } );
+  const valueCount = countNotifications( valueProperty );
+  fractionProperty.value = new Fraction( 1, 4 );
+  assert.equal( valueCount(), 0, 'not notified for 2/8 to 1/4' );
+  assert.ok( valueProperty.value.equals( new Fraction( 2, 8 ) ), 'value is unchanged' );
+  fractionProperty.value = new Fraction( 1, 3 );
+  assert.equal( valueCount(), 1, 'notified for 1/4 to 1/3' );
+} );
@@ -3,9 +3,8 @@
 /**
  * A fraction and associated operations.
  *
- * NOTE: The common version of this class in the PhET Java code base has a number of additional methods.  These methods
- * should be ported into this file as needed.  Please see edu.colorado.phet.fractions.common.math.Fraction.java in the
- * PhET Java code base.
+ * This class includes the functionality of the common version of this class in the PhET Java code base, see
+ * edu.colorado.phet.fractions.common.math.Fraction.java. Parsing of fractions from strings is Fraction.parse.
  *
  * @author John Blanco
  * @author Chris Malley (PixelZoom, Inc.)
@@ -13,7 +12,11 @@
  */
 
 import Utils from '../../../dot/js/Utils.js';
+import merge from '../../../phet-core/js/merge.js';
+import IOType from '../../../tandem/js/types/IOType.js';
+import NumberIO from '../../../tandem/js/types/NumberIO.js';
 import phetcommon from '../phetcommon.js';
+import StringUtils from '../util/StringUtils.js';
 
 class Fraction {
 
@@ -29,6 +32,32 @@ class Fraction {
     // @private use set/get so that values are verified to be integers
     this._numerator = numerator;
     this._denominator = denominator;
+
+    // @private whether this fraction is immutable, see freeze
+    this._frozen = false;
+  }
+
+  /**
+   * Makes this fraction immutable. Calling a mutator (e.g. add, reduce, set) on a frozen fraction is an assertion
+   * failure, and a TypeError if assertions are disabled. Methods that return a new fraction (e.g. plus, reduced, copy)
+   * can still be used, and the fractions that they return are not frozen. Frozen fractions are safe to use as
+   * constants and as Property values.
+   * @returns {Fraction} returns this, to support chaining, e.g. new Fraction( 1, 2 ).freeze()
+   * @public
+   */
+  freeze() {
+    this._frozen = true;
+    Object.freeze( this );
+    return this;
+  }
+
+  /**
+   * Is this fraction immutable? See freeze.
+   * @returns {boolean}
+   * @public
+   */
+  isFrozen() {
+    return this._frozen;
   }
 
   /**
@@ -37,6 +66,7 @@ class Fraction {
    * @public
    */
   set numerator( value ) {
+    assert && assert( !this._frozen, `cannot mutate a frozen Fraction: ${this}` );
     assert && assert( Number.isInteger( value ), `numerator must be an integer: ${value}` );
     this._numerator = value;
   }
@@ -54,6 +84,7 @@ class Fraction {
    * @public
    */
   set denominator( value ) {
+    assert && assert( !this._frozen, `cannot mutate a frozen Fraction: ${this}` );
     assert && assert( Number.isInteger( value ), `denominator must be an integer: ${value}` );
     this._denominator = value;
   }
@@ -81,16 +112,402 @@ class Fraction {
     return ( this.numerator % this.denominator === 0 );
   }
 
+  /**
+   * Is this a proper fraction? That is, is the absolute value of the numerator less than the absolute value of the
+   * denominator? For example, 3/4 and -3/4 are proper, and 4/4 and 5/4 are improper.
+   * @returns {boolean}
+   * @public
+   */
+  isProper() {
+    return Math.abs( this.numerator ) < Math.abs( this.denominator );
+  }
+
+  /**
+   * Is this an improper fraction? See isProper.
+   * @returns {boolean}
+   * @public
+   */
+  isImproper() {
+    return !this.isProper();
+  }
+
+  /**
+   * Is this a unit fraction? That is, is its value 1/n for some positive integer n? For example, 1/4 and 2/8 are
+   * unit fractions.
+   * @returns {boolean}
+   * @public
+   */
+  isUnitFraction() {
+    const reduced = this.reduced();
+    return Math.abs( reduced.numerator ) === 1 && reduced.sign === 1;
+  }
+
+  /**
+   * Gets the whole-number part of this fraction's mixed-number form, truncated towards zero.
+   * For example, 11/4 has whole part 2, and -11/4 has whole part -2.
+   * @returns {number} - integer
+   * @public
+   */
+  getWholePart() {
+    assert && assert( this.denominator !== 0, 'whole part is undefined when denominator is zero' );
+
+    // Integer arithmetic, so that we don't rely on floating-point division.
+    const wholePart = ( this.numerator - ( this.numerator % this.denominator ) ) / this.denominator;
+
+    // Avoid returning -0, e.g. for 3/-4
+    return ( wholePart === 0 ) ? 0 : wholePart;
+  }
+
+  get wholePart() { return this.getWholePart(); }
+
+  /**
+   * Gets the proper fractional part of this fraction's mixed-number form, such that
+   * getWholePart() + getFractionalPart() equals the value of this fraction. The fractional part has the same sign as
+   * this fraction, and like reduce() it leaves the signs of numerator and denominator where they are. For example,
+   * 11/4 has fractional part 3/4, -11/4 has -3/4, and 11/-4 has 3/-4. The result is not reduced.
+   * @returns {Fraction}
+   * @public
+   */
+  getFractionalPart() {
+    assert && assert( this.denominator !== 0, 'fractional part is undefined when denominator is zero' );
+    return new Fraction( this.numerator % this.denominator, this.denominator );
+  }
+
+  get fractionalPart() { return this.getFractionalPart(); }
+
+  /**
+   * Converts this fraction to mixed-number form, suitable for display as 'whole numerator/denominator'.
+   * The denominator of the result is positive, and the sign is carried by the whole part, or by the numerator if the
+   * whole part is zero. For example, -11/4 is { whole: -2, numerator: 3,
+   * denominator: 4 } and -3/4 is { whole: 0, numerator: -3, denominator: 4 }. The result is not reduced.
+   * Use Fraction.fromMixedNumber to convert back.
+   * @returns {{whole: number, numerator: number, denominator: number}}
+   * @public
+   */
+  toMixedNumber() {
+    const whole = this.getWholePart();
+    const remainder = this.getFractionalPart();
+    return {
+      whole: whole,
+      numerator: ( whole === 0 ) ? remainder.sign * Math.abs( remainder.numerator ) : Math.abs( remainder.numerator ),
+      denominator: Math.abs( remainder.denominator )
+    };
+  }
+
+  /**
+   * Gets the continued-fraction expansion of this fraction, [ a0; a1, a2, ... ], such that the value is
+   * a0 + 1/( a1 + 1/( a2 + ... ) ). The terms are computed using integer arithmetic, so the expansion is exact and
+   * finite. a0 may be zero or negative, all other terms are positive. See Fraction.fromContinuedFraction for the inverse.
+   * @returns {number[]} - integers
+   * @public
+   */
+  getContinuedFraction() {
+    assert && assert( this.denominator !== 0, 'continued fraction is undefined when denominator is zero' );
+
+    const terms = [];
+    let numerator = Math.sign( this.denominator ) * this.numerator;
+    let denominator = Math.abs( this.denominator );
+    while ( denominator !== 0 ) {
+      const term = Fraction.floorDivide( numerator, denominator );
+      terms.push( term );
+      const remainder = numerator - term * denominator;
+      numerator = denominator;
+      denominator = remainder;
+    }
+    return terms;
+  }
+
   // @public
   toString() {
     return `${this.numerator}/${this.denominator}`;
   }
 
+  /**
+   * Formats this fraction as mixed-number text, e.g. '2 3/4', '-2 3/4', '-3/4' or '2'. The fraction is not reduced.
+   * @param {Object} [options]
+   * @returns {string}
+   * @public
+   */
+  toMixedNumberString( options ) {
+
+    options = merge( {
+      unicode: false // {boolean} whether to format the fractional part as in toUnicodeString, e.g. '2 ¾'
+    }, options );
+
+    const parts = getDisplayParts( this, true );
+    const fractionString = options.unicode ? toUnicodeFractionString( parts.numerator, parts.denominator ) :
+                           `${parts.numerator}/${parts.denominator}`;
+    return formatParts( parts, '-', fractionString, whole => `${whole}`, ( whole, fraction ) => `${whole} ${fraction}` );
+  }
+
+  /**
+   * Formats this fraction using Unicode characters. Fractions that have a Unicode vulgar fraction character use that
+   * character, e.g. '½', '¾'. Otherwise the numerator is superscript and the denominator is subscript, separated by
+   * the Unicode fraction slash, e.g. '¹¹⁄₁₂'. Negative values are prefixed by the Unicode minus sign '−'.
+   * The fraction is not reduced, so 2/4 is '²⁄₄'.
+   * @param {Object} [options]
+   * @returns {string}
+   * @public
+   */
+  toUnicodeString( options ) {
+
+    options = merge( {
+      mixed: false // {boolean} whether to format as a mixed number, e.g. '2¾'
+    }, options );
+
+    const parts = getDisplayParts( this, options.mixed );
+    return formatParts( parts, '\u2212', toUnicodeFractionString( parts.numerator, parts.denominator ),
+      whole => `${whole}`, ( whole, fraction ) => `${whole}${fraction}` );
+  }
+
+  /**
+   * Formats this fraction as LaTeX markup, e.g. '\frac{3}{4}', '-\frac{3}{4}', or '2\frac{3}{4}' for a mixed number.
+   * The fraction is not reduced.
+   * @param {Object} [options]
+   * @returns {string}
+   * @public
+   */
+  toLaTeX( options ) {
+
+    options = merge( {
+      mixed: false // {boolean} whether to format as a mixed number
+    }, options );
+
+    const parts = getDisplayParts( this, options.mixed );
+    return formatParts( parts, '-', `\\frac{${parts.numerator}}{${parts.denominator}}`,
+      whole => `${whole}`, ( whole, fraction ) => `${whole}${fraction}` );
+  }
+
+  /**
+   * Formats this fraction as MathML presentation markup, e.g. '<mfrac><mn>3</mn><mn>4</mn></mfrac>'. The markup is
+   * not wrapped in a <math> element, so that it can be embedded in other markup. The fraction is not reduced.
+   * @param {Object} [options]
+   * @returns {string}
+   * @public
+   */
+  toMathML( options ) {
+
+    options = merge( {
+      mixed: false // {boolean} whether to format as a mixed number
+    }, options );
+
+    const parts = getDisplayParts( this, options.mixed );
+    const markup = formatParts( parts, '', `<mfrac><mn>${parts.numerator}</mn><mn>${parts.denominator}</mn></mfrac>`,
+      whole => `<mn>${whole}</mn>`, ( whole, fraction ) => `<mrow>${whole}${fraction}</mrow>` );
+    return ( parts.sign === -1 ) ? `<mrow><mo>&#x2212;</mo>${markup}</mrow>` : markup;
+  }
+
+  /**
+   * Formats this fraction as text to be spoken, e.g. 'three fourths', 'one half', 'negative two and one third'.
+   * The fraction is not reduced. The defaults are English; to localize, provide translated patterns (which are filled
+   * in using StringUtils.fillIn) and functions for converting numbers to words. For example, in a sim:
+   *
+   * fraction.toSpokenString( {
+   *   fractionPattern: fractionPatternString, // e.g. '{{numerator}} {{denominator}}'
+   *   getNumberString: number => numberStrings[ number ],
+   *   getDenominatorString: ( denominator, plural ) => plural ? pluralDenominatorStrings[ denominator ] : ...
+   * } );
+   *
+   * @param {Object} [options]
+   * @returns {string}
+   * @public
+   */
+  toSpokenString( options ) {
+
+    options = merge( {
+      mixed: false, // {boolean} whether to speak as a mixed number, e.g. 'two and three fourths'
+
+      // {string} patterns, filled in using StringUtils.fillIn
+      fractionPattern: '{{numerator}} {{denominator}}', // e.g. 'three fourths'
+      overPattern: '{{numerator}} over {{denominator}}', // when getDenominatorString returns null, e.g. '3 over 97'
+      mixedNumberPattern: '{{whole}} and {{fraction}}',
+      negativePattern: 'negative {{value}}',
+
+      // {function(number:number):string} converts a non-negative integer to words
+      getNumberString: getEnglishNumberString,
+
+      // {function(denominator:number, plural:boolean):string|null} converts a positive integer denominator to words,
+      // plural if the numerator is not 1, e.g. 'fourth' or 'fourths'. Returns null if there are no words for the
+      // denominator, in which case overPattern is used.
+      getDenominatorString: getEnglishDenominatorString
+    }, options );
+
+    const parts = getDisplayParts( this, options.mixed );
+    const denominatorString = options.getDenominatorString( parts.denominator, parts.numerator !== 1 );
+    const fractionString = ( denominatorString === null ) ?
+                           StringUtils.fillIn( options.overPattern, {
+                             numerator: options.getNumberString( parts.numerator ),
+                             denominator: options.getNumberString( parts.denominator )
+                           } ) :
+                           StringUtils.fillIn( options.fractionPattern, {
+                             numerator: options.getNumberString( parts.numerator ),
+                             denominator: denominatorString
+                           } );
+    const value = formatParts( parts, '', fractionString, options.getNumberString,
+      ( whole, fraction ) => StringUtils.fillIn( options.mixedNumberPattern, { whole: whole, fraction: fraction } ) );
+    return ( parts.sign === -1 ) ? StringUtils.fillIn( options.negativePattern, { value: value } ) : value;
+  }
+
+  /**
+   * Formats the exact value of this fraction as a decimal with a fixed number of decimal places, e.g. 1/3 to 2 places
+   * is '0.33', and 2/3 to 2 places is '0.67'. Unlike Utils.toFixed, there is no floating-point error. A value that
+   * rounds to zero has no sign, e.g. -1/1000 to 2 places is '0.00'.
+   * @param {number} decimalPlaces - non-negative integer
+   * @param {Object} [options]
+   * @returns {string}
+   * @throws {Error} if the denominator is too large for the long division to be exact
+   * @public
+   */
+  toDecimalString( decimalPlaces, options ) {
+    assert && assert( Number.isInteger( decimalPlaces ) && decimalPlaces >= 0, `invalid decimalPlaces: ${decimalPlaces}` );
+
+    options = merge( {
+
+      // {string} how the last decimal place is rounded, one of:
+      // 'round' - to nearest, ties away from zero, as in Utils.roundSymmetric
+      // 'halfEven' - to nearest, ties to the even digit (banker's rounding)
+      // 'floor', 'ceil', 'truncate' - down, up, or towards zero
+      rounding: 'round'
+    }, options );
+    assert && assert( DECIMAL_ROUNDING.includes( options.rounding ), `invalid rounding: ${options.rounding}` );
+    assert && assert( this.denominator !== 0, 'denominator must be non-zero' );
+    checkLongDivision( this );
+
+    // Long division, computing the digits of the absolute value, then the remainder is used for rounding.
+    const sign = this.sign;
+    const denominator = Math.abs( this.denominator );
+    const integerPart = Fraction.floorDivide( Math.abs( this.numerator ), denominator );
+    let remainder = Math.abs( this.numerator ) - integerPart * denominator;
+    let digits = `${integerPart}`;
+    for ( let i = 0; i < decimalPlaces; i++ ) {
+      const digit = Fraction.floorDivide( remainder * 10, denominator );
+      digits += digit;
+      remainder = remainder * 10 - digit * denominator;
+    }
+
+    // Round the absolute value up, depending on the remainder
+    if ( remainder !== 0 && roundsUp( options.rounding, sign, 2 * remainder - denominator,
+      Number( digits[ digits.length - 1 ] ) ) ) {
+      digits = incrementDigits( digits );
+    }
+
+    const signString = ( sign === -1 && /[1-9]/.test( digits ) ) ? '-' : '';
+    return ( decimalPlaces === 0 ) ? `${signString}${digits}` :
+           `${signString}${digits.slice( 0, -decimalPlaces )}.${digits.slice( -decimalPlaces )}`;
+  }
+
+  /**
+   * Gets the exact decimal expansion of this fraction, which either terminates or has a repeating cycle of digits.
+   * For example, 1/6 = 0.1666... is { sign: 1, integerPart: 0, nonRepeatingDigits: '1', repeatingDigits: '6' }, and
+   * 3/4 = 0.75 is { sign: 1, integerPart: 0, nonRepeatingDigits: '75', repeatingDigits: '' }.
+   * The length of the cycle can be as large as the denominator, so maxDigits limits the number of digits computed.
+   * @param {number} [maxDigits] - maximum number of digits after the decimal point
+   * @returns {{sign: number, integerPart: number, nonRepeatingDigits: string, repeatingDigits: string}}
+   * @throws {Error} if the expansion has more than maxDigits digits, or the denominator is too large for the long
+   *   division to be exact
+   * @public
+   */
+  getDecimalExpansion( maxDigits = 1000 ) {
+    assert && assert( this.denominator !== 0, 'denominator must be non-zero' );
+    checkLongDivision( this );
+
+    const numerator = Math.abs( this.numerator );
+    const denominator = Math.abs( this.denominator );
+    const integerPart = Fraction.floorDivide( numerator, denominator );
+
+    // Long division. The digits repeat as soon as a remainder repeats, so we record the position of each remainder.
+    const digits = [];
+    const positions = new Map();
+    let remainder = numerator - integerPart * denominator;
+    while ( remainder !== 0 && !positions.has( remainder ) ) {
+      if ( digits.length === maxDigits ) {
+        throw new Error( `decimal expansion of ${this} has more than ${maxDigits} digits` );
+      }
+      positions.set( remainder, digits.length );
+      const digit = Fraction.floorDivide( remainder * 10, denominator );
+      digits.push( digit );
+      remainder = remainder * 10 - digit * denominator;
+    }
+    const cycleStart = ( remainder === 0 ) ? digits.length : positions.get( remainder );
+
+    return {
+      sign: this.sign,
+      integerPart: integerPart,
+      nonRepeatingDigits: digits.slice( 0, cycleStart ).join( '' ),
+      repeatingDigits: digits.slice( cycleStart ).join( '' )
+    };
+  }
+
+  /**
+   * Formats the exact value of this fraction as a decimal, with the repeating cycle (if any) in parentheses,
+   * e.g. '0.75', '0.(3)', '-0.1(6)', '0.(142857)' or '2'. The result can be parsed by Fraction.parse.
+   * @param {number} [maxDigits] - maximum number of digits after the decimal point, see getDecimalExpansion
+   * @returns {string}
+   * @throws {Error} see getDecimalExpansion
+   * @public
+   */
+  toRepeatingDecimalString( maxDigits ) {
+    const expansion = this.getDecimalExpansion( maxDigits );
+    let string = `${( expansion.sign === -1 ) ? '-' : ''}${expansion.integerPart}`;
+    if ( expansion.nonRepeatingDigits.length > 0 || expansion.repeatingDigits.length > 0 ) {
+      string += `.${expansion.nonRepeatingDigits}`;
+    }
+    if ( expansion.repeatingDigits.length > 0 ) {
+      string += `(${expansion.repeatingDigits})`;
+    }
+    return string;
+  }
+
+  /**
+   * Does the decimal expansion of this fraction terminate? That is, does the reduced denominator have no prime
+   * factors other than 2 and 5? For example, 3/4 = 0.75 terminates, and 1/3 = 0.333... does not.
+   * @returns {boolean}
+   * @public
+   */
+  isTerminatingDecimal() {
+    assert && assert( this.denominator !== 0, 'denominator must be non-zero' );
+    let denominator = Math.abs( this.reduced().denominator );
+    while ( denominator % 2 === 0 ) {
+      denominator /= 2;
+    }
+    while ( denominator % 5 === 0 ) {
+      denominator /= 5;
+    }
+    return denominator === 1;
+  }
+
+  /**
+   * Formats the exact value of this fraction as a percentage, e.g. 3/8 is '37.5%' to 1 decimal place, and 1/3 is
+   * '33%' to 0 decimal places. If decimalPlaces is null, the value is exact, with the repeating cycle (if any) in
+   * parentheses, e.g. 1/3 is '33.(3)%'. The result can be parsed by Fraction.parse.
+   * @param {number|null} [decimalPlaces] - non-negative integer, or null for the exact value
+   * @param {Object} [options] - see toDecimalString
+   * @returns {string}
+   * @public
+   */
+  toPercentString( decimalPlaces = 0, options ) {
+    const percent = this.timesInteger( 100 );
+    return `${( decimalPlaces === null ) ? percent.toRepeatingDecimalString() :
+              percent.toDecimalString( decimalPlaces, options )}%`;
+  }
+
   // @public
   copy() {
     return new Fraction( this.numerator, this.denominator );
   }
 
+  /**
+   * Serializes this fraction for PhET-iO, see FractionIO. The fraction is not reduced.
+   * @returns {{numerator: number, denominator: number}}
+   * @public
+   */
+  toStateObject() {
+    return {
+      numerator: this.numerator,
+      denominator: this.denominator
+    };
+  }
+
   /**
    * Reduces this fraction, modifies the numerator and denominator.
    * @returns {Fraction} returns this, to support chaining of operations
@@ -133,19 +550,189 @@ class Fraction {
   }
 
   /**
-   * Returns whether this fraction has a value that is less than the provided fraction.
+   * Returns whether the two fractions have equal values, e.g. 2/4 and 1/2 have equal values.
    * @public
    *
    * @param {Fraction} fraction
    * @returns {boolean}
    */
-  isLessThan( fraction ) {
+  valueEquals( fraction ) {
+    return this.compareTo( fraction ) === 0;
+  }
+
+  /**
+   * Returns whether the two fractions have approximately equal values, i.e. whether the difference of their
+   * floating-point values is within a tolerance. Use valueEquals for exact comparison.
+   * @public
+   *
+   * @param {Fraction} fraction
+   * @param {number} [tolerance]
+   * @returns {boolean}
+   */
+  approxEquals( fraction, tolerance = 1E-6 ) {
+    assert && assert( fraction instanceof Fraction, `fraction is not a Fraction: ${fraction}` );
+    assert && assert( tolerance >= 0, `invalid tolerance: ${tolerance}` );
+    return Math.abs( this.getValue() - fraction.getValue() ) <= tolerance;
+  }
+
+  /**
+   * Gets a hash code for this fraction, which is the same for fractions that are equal (see equals), as in Java.
+   * Fractions with equal values but different numerators and denominators, e.g. 1/2 and 2/4, can have different hash
+   * codes. The hash code is a 32-bit integer.
+   * @public
+   *
+   * @returns {number}
+   */
+  hashCode() {
+    return ( Math.imul( ( 59 + this.numerator ) | 0, 59 ) + this.denominator ) | 0;
+  }
+
+  /**
+   * Gets a key that is the same for fractions with equal values, for use as the key of a Map or the value in a Set.
+   * The key is the reduced fraction with a positive denominator, as a string, e.g. 2/4, 1/2 and -1/-2 have key '1/2'.
+   * See also getStructuralKey and FractionMap.
+   * @returns {string}
+   * @public
+   */
+  getKey() {
+    assert && assert( this.denominator !== 0, 'denominator must be non-zero' );
+    const reduced = this.reduced();
+    return ( reduced.denominator < 0 ) ? `${-reduced.numerator}/${-reduced.denominator}` : reduced.toString();
+  }
+
+  /**
+   * Gets a key that is the same for fractions that are equal (see equals), for use as the key of a Map or the value
+   * in a Set when the unreduced form matters, e.g. 1/2 and 2/4 have different keys.
+   * @returns {string}
+   * @public
+   */
+  getStructuralKey() {
+    return this.toString();
+  }
+
+  /**
+   * Gets the factor by which the provided fraction's numerator and denominator are scaled to get this fraction's
+   * numerator and denominator. For example, 6/8 is 3/4 scaled by 2, and 2/4 is 3/6 scaled by 2/3. Fractions with
+   * different values are not scaled versions of each other. See also valueEquals.
+   * @param {Fraction} fraction - with non-zero denominator
+   * @returns {Fraction|null} - reduced with positive denominator, or null if the fractions have different values
+   * @public
+   */
+  getScaleFactor( fraction ) {
+    assert && assert( fraction instanceof Fraction, `fraction is not a Fraction: ${fraction}` );
+    assert && assert( fraction.denominator !== 0 && this.denominator !== 0, 'denominators must be non-zero' );
+
+    if ( !this.valueEquals( fraction ) ) {
+      return null;
+    }
+    const sign = Math.sign( this.denominator ) * Math.sign( fraction.denominator );
+    return new Fraction( sign * Math.abs( this.denominator ), Math.abs( fraction.denominator ) ).reduce();
+  }
+
+  /**
+   * Is this fraction the provided fraction with numerator and denominator multiplied by the same integer?
+   * For example, 6/8 is a scaled version of 3/4 (and of 6/8), but 3/4 is not a scaled version of 6/8,
+   * and 6/8 is not a scaled version of 9/12.
+   * @param {Fraction} fraction - with non-zero denominator
+   * @returns {boolean}
+   * @public
+   */
+  isScaledVersionOf( fraction ) {
+    const scaleFactor = this.getScaleFactor( fraction );
+    return scaleFactor !== null && scaleFactor.isInteger();
+  }
+
+  /**
+   * Gets fractions that are equivalent to this fraction, in order of increasing denominator. The first is the reduced
+   * form of this fraction, and the others are it scaled by 2, 3, 4, ... For example, the equivalent fractions of 6/8
+   * with { maxDenominator: 16 } are 3/4, 6/8, 9/12 and 12/16. All results have positive denominators.
+   * @param {Object} [options] - at least one of maxNumerator and maxDenominator must be provided
+   * @returns {Fraction[]}
+   * @throws {Error} if the options don't limit the number of equivalent fractions
+   * @public
+   */
+  getEquivalentFractions( options ) {
+    assert && assert( this.denominator !== 0, 'denominator must be non-zero' );
+
+    options = merge( {
+      maxNumerator: Number.POSITIVE_INFINITY, // {number} maximum absolute value of numerators
+      maxDenominator: Number.POSITIVE_INFINITY // {number} maximum denominator
+    }, options );
+    if ( !isFinite( options.maxDenominator ) && !( isFinite( options.maxNumerator ) && this.numerator !== 0 ) ) {
+      throw new Error( 'maxNumerator or maxDenominator must limit the number of equivalent fractions' );
+    }
+
+    const reduced = this.reduced();
+    const numerator = Math.sign( reduced.denominator ) * reduced.numerator;
+    const denominator = Math.abs( reduced.denominator );
+
+    const fractions = [];
+    for ( let scale = 1;
+          Math.abs( scale * numerator ) <= options.maxNumerator && scale * denominator <= options.maxDenominator;
+          scale++ ) {
+      fractions.push( new Fraction( scale * numerator, scale * denominator ) );
+    }
+    return fractions;
+  }
+
+  /**
+   * Compares the value of this fraction to the value of the provided fraction.
+   * @public
+   *
+   * @param {Fraction} fraction
+   * @returns {number} -1 if this < fraction, 0 if the values are equal, 1 if this > fraction
+   */
+  compareTo( fraction ) {
     assert && assert( fraction instanceof Fraction, `fraction is not a Fraction: ${fraction}` );
 
-    // The more straightforward approach would be: this.getValue() < fraction.getValue().
+    // The more straightforward approach would be to compare this.getValue() and fraction.getValue().
     // But that uses floating-point operations and comparisons, which could result in a loss of precision.
     // https://github.com/phetsims/phetcommon/issues/43
-    return SCRATCH_FRACTION.set( this ).subtract( fraction ).sign === -1;
+    return SCRATCH_FRACTION.set( this ).subtract( fraction ).sign;
+  }
+
+  /**
+   * Returns whether this fraction has a value that is less than the provided fraction.
+   * @public
+   *
+   * @param {Fraction} fraction
+   * @returns {boolean}
+   */
+  isLessThan( fraction ) {
+    return this.compareTo( fraction ) === -1;
+  }
+
+  /**
+   * Returns whether this fraction has a value that is less than or equal to the provided fraction.
+   * @public
+   *
+   * @param {Fraction} fraction
+   * @returns {boolean}
+   */
+  isLessThanOrEqualTo( fraction ) {
+    return this.compareTo( fraction ) !== 1;
+  }
+
+  /**
+   * Returns whether this fraction has a value that is greater than the provided fraction.
+   * @public
+   *
+   * @param {Fraction} fraction
+   * @returns {boolean}
+   */
+  isGreaterThan( fraction ) {
+    return this.compareTo( fraction ) === 1;
+  }
+
+  /**
+   * Returns whether this fraction has a value that is greater than or equal to the provided fraction.
+   * @public
+   *
+   * @param {Fraction} fraction
+   * @returns {boolean}
+   */
+  isGreaterThanOrEqualTo( fraction ) {
+    return this.compareTo( fraction ) !== -1;
   }
 
   /**
@@ -355,31 +942,513 @@ class Fraction {
   }
 
   /**
-   * Convenience method for constructing a fraction from an integer.
-   * @param {number} value - must be an integer
+   * Convenience method.
+   * Creates a new fraction that is twice this fraction, by doubling the numerator. The result is not reduced,
+   * e.g. 3/4 doubled is 6/4.
    * @returns {Fraction}
    * @public
-   * @static
    */
-  static fromInteger( value ) {
-    assert && assert( Number.isInteger( value ), `value is not an integer: ${value}` );
-    return new Fraction( value, 1 );
+  doubled() {
+    return this.timesInteger( 2 );
   }
 
   /**
-   * Convert a number into a Fraction
-   * @public
-   * @param {number} number - integer or float, doesn't matter
+   * Convenience method.
+   * Creates a new fraction that is half of this fraction, by doubling the denominator. The result is not reduced,
+   * e.g. 2/4 halved is 2/8.
    * @returns {Fraction}
+   * @public
    */
-  static fromDecimal( number ) {
-
-    if ( Number.isInteger( number ) ) {
-      return Fraction.fromInteger( number );
-    }
-    else {
+  halved() {
+    return this.dividedInteger( 2 );
+  }
 
-      // Get the decimal part of the number.
+  /**
+   * Negates this fraction (mutates this fraction). The sign of the numerator is changed.
+   * @returns {Fraction} - Reference to this (for chaining)
+   * @public
+   */
+  negate() {
+    this.numerator = -this.numerator;
+    return this;
+  }
+
+  /**
+   * Creates a new fraction that is the negation of this fraction. The sign of the numerator is changed.
+   * @returns {Fraction}
+   * @public
+   */
+  negated() {
+    return this.copy().negate();
+  }
+
+  /**
+   * Sets this fraction to its reciprocal (mutates this fraction), by swapping numerator and denominator.
+   * @returns {Fraction} - Reference to this (for chaining)
+   * @public
+   */
+  invert() {
+    assert && assert( this.numerator !== 0, 'reciprocal of zero is undefined' );
+    const numerator = this.numerator;
+    this.numerator = this.denominator;
+    this.denominator = numerator;
+    return this;
+  }
+
+  /**
+   * Creates a new fraction that is the reciprocal of this fraction, by swapping numerator and denominator.
+   * @returns {Fraction}
+   * @public
+   */
+  reciprocal() {
+    return this.copy().invert();
+  }
+
+  /**
+   * Raises this fraction to an integer power (mutates this fraction). A negative exponent raises the reciprocal to the
+   * corresponding positive power, and an exponent of 0 results in 1/1. The result is not reduced.
+   * Beware that numerator and denominator grow quickly, and are exact only while they are < 2^53. See BigFraction.
+   * @param {number} exponent - integer
+   * @returns {Fraction} - Reference to this (for chaining)
+   * @public
+   */
+  raise( exponent ) {
+    assert && assert( Number.isInteger( exponent ), `exponent is not an integer: ${exponent}` );
+    if ( exponent < 0 ) {
+      this.invert();
+    }
+    this.numerator = Math.pow( this.numerator, Math.abs( exponent ) );
+    this.denominator = Math.pow( this.denominator, Math.abs( exponent ) );
+    return this;
+  }
+
+  /**
+   * Creates a new fraction that is this fraction raised to an integer power. See raise.
+   * @param {number} exponent - integer
+   * @returns {Fraction}
+   * @public
+   */
+  pow( exponent ) {
+    return this.copy().raise( exponent );
+  }
+
+  /**
+   * Rounds this fraction down to the largest multiple of 1/denominator that is <= this fraction (mutates this fraction).
+   * The result has the provided denominator, e.g. 7/5 floored to a denominator of 4 is 5/4.
+   * @param {number} [denominator] - positive integer, defaults to 1 for rounding to an integer
+   * @returns {Fraction} - Reference to this (for chaining)
+   * @public
+   */
+  floor( denominator = 1 ) {
+    return this.roundToDenominator( denominator, Fraction.floorDivide );
+  }
+
+  /**
+   * Creates a new fraction that is this fraction rounded down. See floor.
+   * @param {number} [denominator] - positive integer, defaults to 1 for rounding to an integer
+   * @returns {Fraction}
+   * @public
+   */
+  floored( denominator = 1 ) {
+    return this.copy().floor( denominator );
+  }
+
+  /**
+   * Rounds this fraction up to the smallest multiple of 1/denominator that is >= this fraction (mutates this fraction).
+   * The result has the provided denominator, e.g. 7/5 ceiled to a denominator of 4 is 6/4.
+   * @param {number} [denominator] - positive integer, defaults to 1 for rounding to an integer
+   * @returns {Fraction} - Reference to this (for chaining)
+   * @public
+   */
+  ceil( denominator = 1 ) {
+    return this.roundToDenominator( denominator, ( a, b ) => -Fraction.floorDivide( -a, b ) );
+  }
+
+  /**
+   * Creates a new fraction that is this fraction rounded up. See ceil.
+   * @param {number} [denominator] - positive integer, defaults to 1 for rounding to an integer
+   * @returns {Fraction}
+   * @public
+   */
+  ceiled( denominator = 1 ) {
+    return this.copy().ceil( denominator );
+  }
+
+  /**
+   * Rounds this fraction to the nearest multiple of 1/denominator (mutates this fraction). Ties are rounded away from
+   * zero, as in Utils.roundSymmetric. The result has the provided denominator, e.g. 7/5 rounded to a denominator of 4
+   * is 6/4.
+   * @param {number} [denominator] - positive integer, defaults to 1 for rounding to an integer
+   * @returns {Fraction} - Reference to this (for chaining)
+   * @public
+   */
+  round( denominator = 1 ) {
+    return this.roundToDenominator( denominator,
+      ( a, b ) => Math.sign( a ) * Math.sign( b ) *
+                  Fraction.floorDivide( 2 * Math.abs( a ) + Math.abs( b ), 2 * Math.abs( b ) ) );
+  }
+
+  /**
+   * Creates a new fraction that is this fraction rounded to the nearest multiple of 1/denominator. See round.
+   * @param {number} [denominator] - positive integer, defaults to 1 for rounding to an integer
+   * @returns {Fraction}
+   * @public
+   */
+  rounded( denominator = 1 ) {
+    return this.copy().round( denominator );
+  }
+
+  /**
+   * Rounds this fraction towards zero, to the nearest multiple of 1/denominator (mutates this fraction).
+   * The result has the provided denominator, e.g. -7/5 truncated to a denominator of 4 is -5/4.
+   * @param {number} [denominator] - positive integer, defaults to 1 for rounding to an integer
+   * @returns {Fraction} - Reference to this (for chaining)
+   * @public
+   */
+  truncate( denominator = 1 ) {
+    return this.roundToDenominator( denominator,
+      ( a, b ) => Math.sign( a ) * Math.sign( b ) * Fraction.floorDivide( Math.abs( a ), Math.abs( b ) ) );
+  }
+
+  /**
+   * Creates a new fraction that is this fraction rounded towards zero. See truncate.
+   * @param {number} [denominator] - positive integer, defaults to 1 for rounding to an integer
+   * @returns {Fraction}
+   * @public
+   */
+  truncated( denominator = 1 ) {
+    return this.copy().truncate( denominator );
+  }
+
+  /**
+   * Sets this fraction to k/denominator, where k is an integer computed by a rounding function.
+   * @param {number} denominator - positive integer
+   * @param {function(a:number, b:number):number} divide - integer division of a by b, with some rounding rule
+   * @returns {Fraction} - Reference to this (for chaining)
+   * @private
+   */
+  roundToDenominator( denominator, divide ) {
+    assert && assert( Number.isInteger( denominator ) && denominator > 0, `invalid denominator: ${denominator}` );
+    assert && assert( this.denominator !== 0, 'cannot round when denominator is zero' );
+
+    // k/denominator is the rounded value of this.numerator/this.denominator, so k is the rounded value of
+    // ( this.numerator * denominator ) / this.denominator
+    this.numerator = divide( this.numerator * denominator, this.denominator );
+    this.denominator = denominator;
+    return this;
+  }
+
+  /**
+   * Sets this fraction to the remainder of dividing it by the provided fraction (mutates this fraction), using
+   * truncated division like JavaScript's % operator. The result has the same sign as this fraction,
+   * e.g. -7/2 rem 1 is -1/2. The result is not reduced.
+   * @param {Fraction} divisor - must be non-zero
+   * @returns {Fraction} - Reference to this (for chaining)
+   * @public
+   */
+  rem( divisor ) {
+    assert && assert( divisor instanceof Fraction, `divisor is not a Fraction: ${divisor}` );
+    assert && assert( divisor.numerator !== 0, 'divisor must be non-zero' );
+    return this.subtract( divisor.timesInteger( this.divided( divisor ).truncate().numerator ) );
+  }
+
+  /**
+   * Creates a new fraction that is the remainder of dividing this fraction by the provided fraction. See rem.
+   * @param {Fraction} divisor - must be non-zero
+   * @returns {Fraction}
+   * @public
+   */
+  remainder( divisor ) {
+    return this.copy().rem( divisor );
+  }
+
+  /**
+   * Sets this fraction to this fraction modulo the provided fraction (mutates this fraction), using floored division
+   * like Utils.mod. The result has the same sign as the divisor, e.g. -7/2 mod 1 is 1/2. The result is not reduced.
+   * @param {Fraction} divisor - must be non-zero
+   * @returns {Fraction} - Reference to this (for chaining)
+   * @public
+   */
+  mod( divisor ) {
+    assert && assert( divisor instanceof Fraction, `divisor is not a Fraction: ${divisor}` );
+    assert && assert( divisor.numerator !== 0, 'divisor must be non-zero' );
+    return this.subtract( divisor.timesInteger( this.divided( divisor ).floor().numerator ) );
+  }
+
+  /**
+   * Creates a new fraction that is this fraction modulo the provided fraction. See mod.
+   * @param {Fraction} divisor - must be non-zero
+   * @returns {Fraction}
+   * @public
+   */
+  modulo( divisor ) {
+    return this.copy().mod( divisor );
+  }
+
+  /**
+   * Convenience method for constructing a fraction from an integer.
+   * @param {number} value - must be an integer
+   * @returns {Fraction}
+   * @public
+   * @static
+   */
+  static fromInteger( value ) {
+    assert && assert( Number.isInteger( value ), `value is not an integer: ${value}` );
+    return new Fraction( value, 1 );
+  }
+
+  /**
+   * Deserializes a fraction for PhET-iO, see FractionIO.
+   * @param {{numerator: number, denominator: number}} stateObject - integer components, non-zero denominator
+   * @returns {Fraction}
+   * @throws {Error} if the state object is invalid, since it may come from outside the sim, e.g. PhET-iO Studio
+   * @public
+   * @static
+   */
+  static fromStateObject( stateObject ) {
+    if ( !Number.isInteger( stateObject.numerator ) ) {
+      throw new Error( `numerator must be an integer: ${stateObject.numerator}` );
+    }
+    if ( !Number.isInteger( stateObject.denominator ) || stateObject.denominator === 0 ) {
+      throw new Error( `denominator must be a non-zero integer: ${stateObject.denominator}` );
+    }
+    return new Fraction( stateObject.numerator, stateObject.denominator );
+  }
+
+  /**
+   * Compares the values of 2 fractions. Suitable for use as the compareFunction of Array.prototype.sort, to sort
+   * fractions in ascending order of value.
+   * @param {Fraction} a
+   * @param {Fraction} b
+   * @returns {number} -1 if a < b, 0 if the values are equal, 1 if a > b
+   * @public
+   * @static
+   */
+  static compare( a, b ) {
+    return a.compareTo( b );
+  }
+
+  /**
+   * Gets the fraction with the smallest value. If more than one fraction has the smallest value, the first of them
+   * is returned. The result is one of the arguments, not a copy.
+   * @param {...Fraction} fractions - at least 1 fraction
+   * @returns {Fraction}
+   * @public
+   * @static
+   */
+  static min( ...fractions ) {
+    assert && assert( fractions.length > 0, 'at least 1 fraction is required' );
+    return fractions.reduce( ( min, fraction ) => fraction.isLessThan( min ) ? fraction : min );
+  }
+
+  /**
+   * Gets the fraction with the largest value. If more than one fraction has the largest value, the first of them
+   * is returned. The result is one of the arguments, not a copy.
+   * @param {...Fraction} fractions - at least 1 fraction
+   * @returns {Fraction}
+   * @public
+   * @static
+   */
+  static max( ...fractions ) {
+    assert && assert( fractions.length > 0, 'at least 1 fraction is required' );
+    return fractions.reduce( ( max, fraction ) => fraction.isGreaterThan( max ) ? fraction : max );
+  }
+
+  /**
+   * Constrains a fraction to a range of values. The result is one of the arguments, not a copy.
+   * @param {Fraction} value
+   * @param {Fraction} min
+   * @param {Fraction} max - must be >= min
+   * @returns {Fraction} - min if value < min, max if value > max, otherwise value
+   * @public
+   * @static
+   */
+  static clamp( value, min, max ) {
+    assert && assert( min.isLessThanOrEqualTo( max ), `min ${min} must be <= max ${max}` );
+    return value.isLessThan( min ) ? min : value.isGreaterThan( max ) ? max : value;
+  }
+
+  /**
+   * Sums an array of fractions exactly. Intermediate results are reduced to keep them small.
+   * @param {Fraction[]} fractions
+   * @returns {Fraction} - reduced, 0/1 if fractions is empty
+   * @throws {Error} if the sum can't be represented exactly (see BigFraction for that case)
+   * @public
+   * @static
+   */
+  static sum( fractions ) {
+    const sum = new Fraction( 0, 1 );
+    fractions.forEach( fraction => {
+      sum.add( fraction );
+      checkSafe( sum, 'sum' );
+      sum.reduce();
+    } );
+    return sum;
+  }
+
+  /**
+   * Multiplies an array of fractions exactly. Intermediate results are reduced to keep them small.
+   * @param {Fraction[]} fractions
+   * @returns {Fraction} - reduced, 1/1 if fractions is empty
+   * @throws {Error} if the product can't be represented exactly (see BigFraction for that case)
+   * @public
+   * @static
+   */
+  static product( fractions ) {
+    const product = new Fraction( 1, 1 );
+    fractions.forEach( fraction => {
+      product.multiply( fraction );
+      checkSafe( product, 'product' );
+      product.reduce();
+    } );
+    return product;
+  }
+
+  /**
+   * Computes the mean (average) of an array of fractions exactly. See Fraction.sum.
+   * @param {Fraction[]} fractions - at least 1 fraction
+   * @returns {Fraction} - reduced
+   * @throws {Error} if the mean can't be represented exactly
+   * @public
+   * @static
+   */
+  static mean( fractions ) {
+    assert && assert( fractions.length > 0, 'mean requires at least 1 fraction' );
+    const mean = Fraction.sum( fractions ).divide( Fraction.fromInteger( fractions.length ) );
+    checkSafe( mean, 'mean' );
+    return mean.reduce();
+  }
+
+  /**
+   * Gets the least common denominator of an array of fractions, which is the least common multiple of the
+   * denominators of the reduced fractions. For example, the least common denominator of 1/4, 2/4 and 1/6 is 12.
+   * @param {Fraction[]} fractions - with non-zero denominators
+   * @returns {number} - positive integer, 1 if fractions is empty
+   * @throws {Error} if the result can't be represented exactly
+   * @public
+   * @static
+   */
+  static leastCommonDenominator( fractions ) {
+    return fractions.reduce( ( lcd, fraction ) => {
+      assert && assert( fraction.denominator !== 0, `denominator must be non-zero: ${fraction}` );
+      const denominator = Math.abs( fraction.reduced().denominator );
+
+      // lcm( a, b ) = a / gcd( a, b ) * b, dividing first to avoid overflow of the intermediate value a * b
+      const lcm = lcd / Utils.gcd( lcd, denominator ) * denominator;
+      if ( !Number.isSafeInteger( lcm ) ) {
+        throw new Error( 'least common denominator is too large to be represented exactly' );
+      }
+      return lcm;
+    }, 1 );
+  }
+
+  /**
+   * Rewrites an array of fractions over their least common denominator, e.g. [ 1/4, 2/4, 1/6 ] becomes
+   * [ 3/12, 6/12, 2/12 ]. The results have positive denominators.
+   * @param {Fraction[]} fractions - with non-zero denominators
+   * @returns {Fraction[]} - new fractions, in the same order
+   * @throws {Error} if a result can't be represented exactly
+   * @public
+   * @static
+   */
+  static toCommonDenominator( fractions ) {
+    const lcd = Fraction.leastCommonDenominator( fractions );
+    return fractions.map( fraction => {
+
+      // The reduced denominator divides lcd exactly, so this integer division has no floating-point error, unlike
+      // lcd / fraction.denominator for an unreduced fraction.
+      const reduced = fraction.reduced();
+      const factor = lcd / Math.abs( reduced.denominator );
+      const result = new Fraction( Math.sign( reduced.denominator ) * reduced.numerator * factor, lcd );
+      checkSafe( result, 'toCommonDenominator' );
+      return result;
+    } );
+  }
+
+  /**
+   * Sorts an array of fractions in ascending order of value, using exact comparison. Fractions with equal values
+   * remain in their original order. See also Fraction.compare.
+   * @param {Fraction[]} fractions
+   * @returns {Fraction[]} - a new array, containing the same fraction instances
+   * @public
+   * @static
+   */
+  static sort( fractions ) {
+    return fractions.slice().sort( Fraction.compare );
+  }
+
+  /**
+   * Integer division, rounding towards negative infinity. Unlike Math.floor( a / b ), this is exact for large
+   * integers, where the floating-point quotient may be rounded to an integer.
+   * @param {number} a - safe integer
+   * @param {number} b - non-zero safe integer
+   * @returns {number}
+   * @public
+   * @static
+   */
+  static floorDivide( a, b ) {
+    if ( b < 0 ) {
+      a = -a;
+      b = -b;
+    }
+    let quotient = Math.floor( a / b );
+    if ( quotient * b > a ) {
+      quotient--;
+    }
+    else if ( ( quotient + 1 ) * b <= a ) {
+      quotient++;
+    }
+    return quotient;
+  }
+
+  /**
+   * Creates a fraction from a mixed number, e.g. 2 3/4 is Fraction.fromMixedNumber( 2, 3, 4 ) and has value 11/4.
+   * As in conventional notation, the sign of a non-zero whole part applies to the fractional part, so
+   * Fraction.fromMixedNumber( -2, 3, 4 ) is -11/4 (not -2 + 3/4). When the whole part is zero, the sign is taken from
+   * the fractional part, so Fraction.fromMixedNumber( 0, -3, 4 ) is -3/4. The result has a positive denominator and is
+   * not reduced. This is the inverse of toMixedNumber.
+   * @param {number} whole - integer
+   * @param {number} numerator - integer, non-negative if whole is non-zero
+   * @param {number} denominator - non-zero integer, with |numerator| < |denominator|
+   * @returns {Fraction}
+   * @public
+   * @static
+   */
+  static fromMixedNumber( whole, numerator, denominator ) {
+    assert && assert( Number.isInteger( whole ), `whole is not an integer: ${whole}` );
+    assert && assert( Number.isInteger( numerator ), `numerator is not an integer: ${numerator}` );
+    assert && assert( Number.isInteger( denominator ), `denominator is not an integer: ${denominator}` );
+    assert && assert( denominator !== 0, 'denominator must be non-zero' );
+    assert && assert( Math.abs( numerator ) < Math.abs( denominator ),
+      `fractional part must be proper: ${numerator}/${denominator}` );
+    assert && assert( whole === 0 || Math.sign( numerator ) * Math.sign( denominator ) !== -1,
+      'fractional part must be non-negative when whole is non-zero' );
+
+    const absoluteDenominator = Math.abs( denominator );
+    if ( whole === 0 ) {
+      return new Fraction( Math.sign( denominator ) * numerator, absoluteDenominator );
+    }
+    else {
+      return new Fraction( whole * absoluteDenominator + Math.sign( whole ) * Math.abs( numerator ), absoluteDenominator );
+    }
+  }
+
+  /**
+   * Convert a number into a Fraction, using the number of decimal places in the number. For example, 0.3333333 is
+   * converted to 3333333/10000000. See Fraction.approximate to find a 'nice' fraction, such as 1/3, that is close to
+   * the number.
+   * @public
+   * @param {number} number - integer or float, doesn't matter
+   * @returns {Fraction}
+   */
+  static fromDecimal( number ) {
+
+    if ( Number.isInteger( number ) ) {
+      return Fraction.fromInteger( number );
+    }
+    else {
+
+      // Get the decimal part of the number.
       const decimal = number - Utils.toFixedNumber( number, 0 );
       assert && assert( decimal !== 0, 'expected decimal to be non-zero' );
 
@@ -392,15 +1461,493 @@ class Fraction {
       return new Fraction( numerator, denominator ).reduce();
     }
   }
+
+  /**
+   * Finds the best rational approximation of a number, using its continued-fraction expansion. The result is the
+   * fraction with the smallest denominator that is within options.tolerance of the number. If there is no such fraction
+   * with a denominator <= options.maxDenominator, the result is the fraction closest to the number whose denominator
+   * is <= options.maxDenominator. For example, 0.3333333 is approximated as 1/3 with { maxDenominator: 100 } or
+   * { tolerance: 1E-6 }, and Math.PI is approximated as 22/7 with { maxDenominator: 100 }.
+   * @param {number} number
+   * @param {Object} [options]
+   * @returns {Fraction} - reduced, with a positive denominator
+   * @public
+   * @static
+   */
+  static approximate( number, options ) {
+    assert && assert( isFinite( number ), `number must be finite: ${number}` );
+
+    options = merge( {
+      maxDenominator: Number.MAX_SAFE_INTEGER, // {number} largest denominator allowed in the result, a positive integer
+      tolerance: 0, // {number} the result is the first fraction found whose distance from number is <= tolerance
+      maxTerms: 64 // {number} maximum number of continued-fraction terms to consider, see continuedFractionOf
+    }, options );
+    assert && assert( Number.isInteger( options.maxDenominator ) && options.maxDenominator > 0,
+      `invalid maxDenominator: ${options.maxDenominator}` );
+    assert && assert( options.tolerance >= 0, `invalid tolerance: ${options.tolerance}` );
+
+    const terms = Fraction.continuedFractionOf( number, options.maxTerms );
+
+    // Candidates are the convergents, and the semiconvergents between them, which we visit in order of increasing
+    // denominator. Every best approximation is one of these candidates. (p0/q0, p1/q1) are the 2 most recent convergents.
+    let p0 = 1;
+    let q0 = 0;
+    let p1 = terms[ 0 ];
+    let q1 = 1;
+    let best = new Fraction( p1, q1 );
+    let bestError = Math.abs( number - p1 );
+    if ( bestError <= options.tolerance ) {
+      return best;
+    }
+
+    for ( let i = 1; i < terms.length; i++ ) {
+
+      // The semiconvergents (p0 + j * p1) / (q0 + j * q1) approach the number monotonically as j increases, and only
+      // those with j >= ceil( terms[ i ] / 2 ) can be closer than p0/q0, so there is no need to visit every j, which
+      // would take too long for large terms, e.g. for 1E-12.
+      const jMin = Math.ceil( terms[ i ] / 2 );
+      const jMax = Math.min( terms[ i ], Math.floor( ( options.maxDenominator - q0 ) / q1 ) );
+      const getError = j => Math.abs( number - ( p0 + j * p1 ) / ( q0 + j * q1 ) );
+
+      if ( jMax >= jMin ) {
+        const error = getError( jMax );
+        if ( error <= options.tolerance ) {
+
+          // binary search for the smallest j that is within tolerance, which has the smallest denominator
+          let low = jMin;
+          let high = jMax;
+          while ( low < high ) {
+            const middle = Math.floor( ( low + high ) / 2 );
+            if ( getError( middle ) <= options.tolerance ) {
+              high = middle;
+            }
+            else {
+              low = middle + 1;
+            }
+          }
+          return new Fraction( p0 + low * p1, q0 + low * q1 );
+        }
+        else if ( error < bestError ) {
+          best = new Fraction( p0 + jMax * p1, q0 + jMax * q1 );
+          bestError = error;
+        }
+      }
+
+      // the next convergent's denominator is too large
+      if ( jMax < terms[ i ] ) {
+        return best;
+      }
+      [ p0, q0, p1, q1 ] = [ p1, q1, p0 + terms[ i ] * p1, q0 + terms[ i ] * q1 ];
+    }
+    return best;
+  }
+
+  /**
+   * Gets the continued-fraction expansion of a number, [ a0; a1, a2, ... ]. The expansion stops when the convergents
+   * reproduce the number exactly (as a floating-point value), when a convergent's denominator exceeds 2^53, or when
+   * maxTerms terms have been computed. Irrational numbers have infinite expansions, so they always stop for one of the
+   * latter reasons. For rational numbers that are already Fractions, getContinuedFraction is exact.
+   * @param {number} number
+   * @param {number} [maxTerms] - maximum number of terms
+   * @returns {number[]} - integers, all positive except possibly the first
+   * @public
+   * @static
+   */
+  static continuedFractionOf( number, maxTerms = 64 ) {
+    assert && assert( isFinite( number ), `number must be finite: ${number}` );
+    assert && assert( Number.isInteger( maxTerms ) && maxTerms > 0, `invalid maxTerms: ${maxTerms}` );
+
+    const terms = [];
+    let x = number;
+
+    // 2 most recent convergents, p0/q0 and p1/q1
+    let p0 = 0;
+    let q0 = 1;
+    let p1 = 1;
+    let q1 = 0;
+    while ( terms.length < maxTerms ) {
+      const term = Math.floor( x );
+      const p = term * p1 + p0;
+      const q = term * q1 + q0;
+      if ( !Number.isSafeInteger( p ) || !Number.isSafeInteger( q ) ) {
+        break;
+      }
+      terms.push( term );
+      if ( p / q === number || x === term ) {
+        break;
+      }
+      [ p0, q0, p1, q1 ] = [ p1, q1, p, q ];
+      x = 1 / ( x - term );
+    }
+    return terms;
+  }
+
+  /**
+   * Evaluates a continued fraction [ a0; a1, a2, ... ]. This is the inverse of getContinuedFraction.
+   * @param {number[]} terms - integers, at least 1 term, all positive except possibly the first
+   * @returns {Fraction} - reduced, with a positive denominator
+   * @public
+   * @static
+   */
+  static fromContinuedFraction( terms ) {
+    return _.last( Fraction.getConvergents( terms ) );
+  }
+
+  /**
+   * Gets the convergents of a continued fraction [ a0; a1, a2, ... ], which are the fractions [ a0 ], [ a0; a1 ],
+   * [ a0; a1, a2 ], ... Each convergent is a closer approximation of the continued fraction's value than any fraction
+   * with a smaller denominator.
+   * @param {number[]} terms - integers, at least 1 term, all positive except possibly the first
+   * @returns {Fraction[]} - reduced, with positive denominators
+   * @public
+   * @static
+   */
+  static getConvergents( terms ) {
+    assert && assert( terms.length > 0, 'terms must not be empty' );
+    assert && assert( _.every( terms, ( term, i ) => Number.isInteger( term ) && ( i === 0 || term > 0 ) ),
+      `invalid terms: ${terms}` );
+
+    const convergents = [];
+    let p0 = 0;
+    let q0 = 1;
+    let p1 = 1;
+    let q1 = 0;
+    terms.forEach( term => {
+      [ p0, q0, p1, q1 ] = [ p1, q1, term * p1 + p0, term * q1 + q0 ];
+      convergents.push( new Fraction( p1, q1 ) );
+    } );
+    return convergents;
+  }
+
+  /**
+   * Parses a string into a Fraction. This is intended for text entered by the user, or values from PhET-iO state,
+   * so invalid input results in an Error (not an assertion failure) whose message describes what was wrong.
+   *
+   * Supported forms (leading and trailing whitespace is ignored, and '−' may be used as a minus sign):
+   * '3/4', '-3/4', '3/-4' - numerator/denominator, the result is not reduced
+   * '2 1/2', '-2 1/2' - mixed number, as in Fraction.fromMixedNumber, the result is not reduced
+   * '2', '0.75', '-.5' - integer or decimal, the result is reduced
+   * '0.(3)', '1.2(34)' - decimal where the digits in parentheses repeat forever, the result is reduced
+   * '75%', '12.5%', '33.(3)%' - percent of any of the integer or decimal forms, the result is reduced
+   *
+   * @param {string} string
+   * @returns {Fraction}
+   * @throws {Error} if string is not a valid fraction
+   * @public
+   * @static
+   */
+  static parse( string ) {
+    assert && assert( typeof string === 'string', `string is not a string: ${string}` );
+
+    const text = string.trim().replace( /\u2212/g, '-' );
+    if ( text.length === 0 ) {
+      throw new Error( 'cannot parse an empty string as a fraction' );
+    }
+
+    let match;
+    if ( ( match = text.match( FRACTION_REGEX ) ) ) {
+      const numerator = parseInteger( match[ 1 ], string );
+      const denominator = parseInteger( match[ 2 ], string );
+      if ( denominator === 0 ) {
+        throw new Error( `denominator must not be zero: "${string}"` );
+      }
+      return new Fraction( numerator, denominator );
+    }
+    else if ( ( match = text.match( MIXED_NUMBER_REGEX ) ) ) {
+      const whole = parseInteger( match[ 1 ], string );
+      const numerator = parseInteger( match[ 2 ], string );
+      const denominator = parseInteger( match[ 3 ], string );
+      if ( denominator === 0 ) {
+        throw new Error( `denominator must not be zero: "${string}"` );
+      }
+      if ( numerator >= denominator ) {
+        throw new Error( `fractional part of a mixed number must be less than 1: "${string}"` );
+      }
+      return ( whole === 0 && match[ 1 ].startsWith( '-' ) ) ?
+             Fraction.fromMixedNumber( 0, -numerator, denominator ) :
+             Fraction.fromMixedNumber( whole, numerator, denominator );
+    }
+    else if ( ( match = text.match( DECIMAL_REGEX ) ) ) {
+      return parseDecimal( match, string );
+    }
+    else if ( ( match = text.match( PERCENT_REGEX ) ) ) {
+      return parseDecimal( match, string ).multiply( new Fraction( 1, 100 ) ).reduce();
+    }
+    else if ( text.indexOf( '(' ) !== -1 || text.indexOf( ')' ) !== -1 ) {
+      throw new Error( 'repeating digits must be in parentheses after the decimal point, as in 0.(3) or 1.2(34): ' +
+                       `"${string}"` );
+    }
+    else {
+      throw new Error( 'not a fraction, expected a form like 3/4, -3/4, 2 1/2, 0.75, 75% or 0.(3): ' +
+                       `"${string}"` );
+    }
+  }
+}
+
+// Regular expressions used by Fraction.parse. Decimal forms capture sign, integer digits, decimal digits and
+// repeating decimal digits, and must have at least one digit.
+const FRACTION_REGEX = /^([+-]?\d+)\s*\/\s*([+-]?\d+)$/;
+const MIXED_NUMBER_REGEX = /^([+-]?\d+)\s+(\d+)\s*\/\s*(\d+)$/;
+const DECIMAL_REGEX = /^([+-]?)(?=\.?\d)(\d*)(?:\.(\d*)(?:\((\d+)\))?)?$/;
+const PERCENT_REGEX = /^([+-]?)(?=\.?\d)(\d*)(?:\.(\d*)(?:\((\d+)\))?)?\s*%$/;
+
+// Unicode vulgar fraction characters, keyed by 'numerator/denominator'
+const VULGAR_FRACTIONS = {
+  '1/2': '\u00bd',
+  '1/3': '\u2153',
+  '2/3': '\u2154',
+  '1/4': '\u00bc',
+  '3/4': '\u00be',
+  '1/5': '\u2155',
+  '2/5': '\u2156',
+  '3/5': '\u2157',
+  '4/5': '\u2158',
+  '1/6': '\u2159',
+  '5/6': '\u215a',
+  '1/7': '\u2150',
+  '1/8': '\u215b',
+  '3/8': '\u215c',
+  '5/8': '\u215d',
+  '7/8': '\u215e',
+  '1/9': '\u2151',
+  '1/10': '\u2152',
+  '0/3': '\u2189'
+};
+
+// Unicode superscript and subscript digits, indexed by digit
+const SUPERSCRIPT_DIGITS = [
+  '\u2070', '\u00b9', '\u00b2', '\u00b3', '\u2074', '\u2075', '\u2076', '\u2077', '\u2078', '\u2079'
+];
+const SUBSCRIPT_DIGITS = [
+  '\u2080', '\u2081', '\u2082', '\u2083', '\u2084', '\u2085', '\u2086', '\u2087', '\u2088', '\u2089'
+];
+
+// English words used by the default options of toSpokenString
+const ENGLISH_NUMBERS = [ 'zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten',
+  'eleven', 'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen', 'seventeen', 'eighteen', 'nineteen' ];
+const ENGLISH_TENS = [ '', '', 'twenty', 'thirty', 'forty', 'fifty', 'sixty', 'seventy', 'eighty', 'ninety' ];
+const ENGLISH_DENOMINATORS = [ null, 'whole', 'half', 'third', 'fourth', 'fifth', 'sixth', 'seventh', 'eighth', 'ninth',
+  'tenth', 'eleventh', 'twelfth', 'thirteenth', 'fourteenth', 'fifteenth', 'sixteenth', 'seventeenth', 'eighteenth',
+  'nineteenth', 'twentieth' ];
+
+/**
+ * Gets the sign and magnitudes used to display a fraction. If mixed is true, the fraction is split into whole and
+ * fractional parts, as in toMixedNumber, otherwise whole is 0.
+ * @param {Fraction} fraction
+ * @param {boolean} mixed
+ * @returns {{sign: number, whole: number, numerator: number, denominator: number}} - magnitudes are non-negative
+ */
+function getDisplayParts( fraction, mixed ) {
+  const parts = mixed ? fraction.toMixedNumber() :
+                { whole: 0, numerator: fraction.numerator, denominator: fraction.denominator };
+  return {
+    sign: fraction.sign,
+    whole: Math.abs( parts.whole ),
+    numerator: Math.abs( parts.numerator ),
+    denominator: Math.abs( parts.denominator )
+  };
+}
+
+/**
+ * Combines the parts of a display form. A mixed number with no fractional part is displayed as a whole number.
+ * @param {{sign: number, whole: number, numerator: number, denominator: number}} parts - see getDisplayParts
+ * @param {string} minus - prefix for negative values
+ * @param {string} fractionString - the formatted fraction or fractional part
+ * @param {function(whole:number):string} formatWhole
+ * @param {function(whole:string, fraction:string):string} formatMixed
+ * @returns {string}
+ */
+function formatParts( parts, minus, fractionString, formatWhole, formatMixed ) {
+  const prefix = ( parts.sign === -1 ) ? minus : '';
+  if ( parts.whole === 0 ) {
+    return prefix + fractionString;
+  }
+  else if ( parts.numerator === 0 ) {
+    return prefix + formatWhole( parts.whole );
+  }
+  else {
+    return prefix + formatMixed( formatWhole( parts.whole ), fractionString );
+  }
+}
+
+/**
+ * Formats a non-negative fraction using a Unicode vulgar fraction, or superscript, fraction slash and subscript.
+ * @param {number} numerator - non-negative integer
+ * @param {number} denominator - non-negative integer
+ * @returns {string}
+ */
+function toUnicodeFractionString( numerator, denominator ) {
+  const toDigits = ( value, digits ) => `${value}`.split( '' ).map( digit => digits[ digit ] ).join( '' );
+  return VULGAR_FRACTIONS[ `${numerator}/${denominator}` ] ||
+         `${toDigits( numerator, SUPERSCRIPT_DIGITS )}\u2044${toDigits( denominator, SUBSCRIPT_DIGITS )}`;
+}
+
+/**
+ * Converts a non-negative integer to English words, for numbers < 100. Larger numbers are returned as digits.
+ * @param {number} number
+ * @returns {string}
+ */
+function getEnglishNumberString( number ) {
+  if ( number < ENGLISH_NUMBERS.length ) {
+    return ENGLISH_NUMBERS[ number ];
+  }
+  else if ( number < 100 ) {
+    const tens = ENGLISH_TENS[ Math.floor( number / 10 ) ];
+    return ( number % 10 === 0 ) ? tens : `${tens}-${ENGLISH_NUMBERS[ number % 10 ]}`;
+  }
+  else {
+    return `${number}`;
+  }
+}
+
+/**
+ * Converts a positive integer denominator to English words, for denominators <= 20.
+ * @param {number} denominator
+ * @param {boolean} plural
+ * @returns {string|null} - null if there are no words for the denominator
+ */
+function getEnglishDenominatorString( denominator, plural ) {
+  const singular = ENGLISH_DENOMINATORS[ denominator ] || null;
+  if ( singular === null || !plural ) {
+    return singular;
+  }
+  else {
+    return ( singular === 'half' ) ? 'halves' : `${singular}s`;
+  }
+}
+
+/**
+ * Checks that a fraction's numerator and denominator are small enough to be represented exactly. This is not an
+ * assertion, so that precision is not silently lost when assertions are disabled.
+ * @param {Fraction} fraction
+ * @param {string} operation - name of the operation that produced the fraction, for the error message
+ * @throws {Error} if the numerator or denominator is not a safe integer
+ */
+function checkSafe( fraction, operation ) {
+  if ( !Number.isSafeInteger( fraction.numerator ) || !Number.isSafeInteger( fraction.denominator ) ) {
+    throw new Error( `${operation} is too large to be represented exactly, consider using BigFraction: ${fraction}` );
+  }
+}
+
+/**
+ * Throws if the denominator of a fraction is too large for long division (see toDecimalString) to be exact, which
+ * requires 10 times the denominator to be a safe integer.
+ * @param {Fraction} fraction
+ * @throws {Error}
+ */
+function checkLongDivision( fraction ) {
+  if ( !Number.isSafeInteger( fraction.denominator * 10 ) ) {
+    throw new Error( `denominator is too large for an exact decimal: ${fraction}` );
+  }
+}
+
+/**
+ * Adds 1 to a non-negative integer that is represented as a string of decimal digits, e.g. '1299' to '1300'.
+ * @param {string} digits
+ * @returns {string}
+ */
+function incrementDigits( digits ) {
+  let i = digits.length - 1;
+  while ( i >= 0 && digits[ i ] === '9' ) {
+    i--;
+  }
+  return ( i < 0 ) ? `1${'0'.repeat( digits.length )}` :
+         `${digits.slice( 0, i )}${Number( digits[ i ] ) + 1}${'0'.repeat( digits.length - i - 1 )}`;
+}
+
+/**
+ * Should a decimal, whose digits have been truncated, be rounded up (away from zero)? See toDecimalString.
+ * @param {string} rounding - see toDecimalString
+ * @param {number} sign - sign of the decimal, -1 or 1
+ * @param {number} comparison - < 0, 0 or > 0 if the truncated part is < 1/2, = 1/2 or > 1/2 of the last place
+ * @param {number} lastDigit - last digit of the truncated decimal
+ * @returns {boolean}
+ */
+function roundsUp( rounding, sign, comparison, lastDigit ) {
+  if ( rounding === 'round' ) {
+    return comparison >= 0;
+  }
+  else if ( rounding === 'halfEven' ) {
+    return comparison > 0 || ( comparison === 0 && lastDigit % 2 === 1 );
+  }
+  else if ( rounding === 'floor' ) {
+    return sign === -1;
+  }
+  else if ( rounding === 'ceil' ) {
+    return sign === 1;
+  }
+  else {
+    return false; // truncate
+  }
+}
+
+// Rounding options for toDecimalString
+const DECIMAL_ROUNDING = [ 'round', 'halfEven', 'floor', 'ceil', 'truncate' ];
+
+/**
+ * Parses a string of digits (with optional sign) into an integer, for Fraction.parse.
+ * @param {string} digits
+ * @param {string} string - the complete string being parsed, for error messages
+ * @returns {number}
+ * @throws {Error} if the integer is too large to be represented exactly
+ */
+function parseInteger( digits, string ) {
+  const value = Number( digits );
+  if ( !Number.isSafeInteger( value ) ) {
+    throw new Error( `number is too large to be represented exactly: "${string}"` );
+  }
+  return value;
+}
+
+/**
+ * Converts the captured groups of DECIMAL_REGEX or PERCENT_REGEX into a reduced Fraction, for Fraction.parse.
+ * This is done using integer arithmetic, so that there is no floating-point error.
+ * For integer part I, decimal digits N (n digits) and repeating digits R (r digits), the value is
+ * I + N/10^n + R/(10^n * (10^r - 1)).
+ * @param {string[]} match - result of String.match
+ * @param {string} string - the complete string being parsed, for error messages
+ * @returns {Fraction}
+ * @throws {Error} if the value is too large to be represented exactly
+ */
+function parseDecimal( match, string ) {
+  const sign = ( match[ 1 ] === '-' ) ? -1 : 1;
+  const integerDigits = match[ 2 ] || '0';
+  const decimalDigits = match[ 3 ] || '';
+  const repeatingDigits = match[ 4 ] || '';
+
+  let denominator = parseInteger( `1${'0'.repeat( decimalDigits.length )}`, string );
+  let numerator = parseInteger( integerDigits + decimalDigits, string );
+  if ( repeatingDigits.length > 0 ) {
+
+    // Equivalent to the formula above, with a common denominator of 10^n * ( 10^r - 1 ), which is r 9s followed by n 0s
+    numerator = parseInteger( integerDigits + decimalDigits + repeatingDigits, string ) - numerator;
+    denominator = parseInteger( `${'9'.repeat( repeatingDigits.length )}${'0'.repeat( decimalDigits.length )}`, string );
+  }
+  return new Fraction( sign * numerator, denominator ).reduce();
 }
 
 // Used to avoid GC - NOTE: Do NOT move in front of the constructor/inherit, as it is creating a copy of the type
 // defined.
 const SCRATCH_FRACTION = new Fraction( 1, 1 );
 
-// Useful constants
+// Useful constants. These are mutable for compatibility with existing code, which may use them as accumulators.
 Fraction.ZERO = new Fraction( 0, 1 );
 Fraction.ONE = new Fraction( 1, 1 );
 
+// Frozen versions of the constants above, which can't be accidentally mutated, e.g. for defaults and Property values
+Fraction.FROZEN_ZERO = new Fraction( 0, 1 ).freeze();
+Fraction.FROZEN_ONE = new Fraction( 1, 1 ).freeze();
+
+Fraction.FractionIO = new IOType( 'FractionIO', {
+  valueType: Fraction,
+  documentation: 'A fraction, with integer numerator and denominator. The fraction is not necessarily reduced.',
+  stateSchema: {
+    numerator: NumberIO,
+    denominator: NumberIO
+  },
+  toStateObject: fraction => fraction.toStateObject(),
+  fromStateObject: stateObject => Fraction.fromStateObject( stateObject )
+} );
+
 phetcommon.register( 'Fraction', Fraction );
 export default Fraction;
\ No newline at end of file
@@ -0,0 +1,252 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * Utilities for decomposing a Fraction into sums of other fractions, as used by 'build a fraction' and
+ * fraction-matching activities. Decompositions are arrays of Fractions whose sum is the decomposed value:
+ *
+ * Egyptian fractions - sums of distinct unit fractions, e.g. 3/4 = 1/2 + 1/4
+ * Allowed denominators - sums of unit-fraction pieces with a given set of denominators, e.g. 3/4 = 2/4 + 1/8 + 1/8,
+ *   where each decomposition contains at most one Fraction per denominator, whose numerator is the number of pieces
+ * Equal parts - e.g. 3/4 = 1/4 + 1/4 + 1/4
+ *
+ * Searches are exact (integer arithmetic), and are bounded by limits on the number of terms and size of denominators.
+ * If an intermediate value is too large to be represented exactly (see Number.MAX_SAFE_INTEGER), the result is null.
+ */
+
+import Utils from '../../../dot/js/Utils.js';
+import merge from '../../../phet-core/js/merge.js';
+import phetcommon from '../phetcommon.js';
+import Fraction from './Fraction.js';
+
+const FractionDecomposition = {
+
+  /**
+   * Decomposes a positive fraction into distinct unit fractions, using the greedy (Fibonacci-Sylvester) algorithm,
+   * which at each step takes the largest unit fraction that is not more than what remains. This always finds a
+   * decomposition, but it is not necessarily the shortest, and its denominators can be very large.
+   * For example, 4/13 is 1/4 + 1/18 + 1/468.
+   * @param {Fraction} fraction - must be positive
+   * @param {Object} [options]
+   * @returns {Fraction[]|null} - unit fractions in order of decreasing value, null if the limits were exceeded or an
+   *   intermediate value was too large to be represented exactly
+   * @public
+   */
+  getGreedyEgyptianFractions( fraction, options ) {
+    assert && assert( fraction instanceof Fraction && fraction.sign === 1, `fraction must be positive: ${fraction}` );
+
+    options = merge( {
+      maxTerms: Number.POSITIVE_INFINITY, // {number} maximum number of unit fractions
+      maxDenominator: Number.MAX_SAFE_INTEGER // {number} maximum denominator of a unit fraction
+    }, options );
+
+    const terms = [];
+    let remaining = toPositiveReduced( fraction );
+    let denominator = 0;
+    while ( remaining.numerator !== 0 ) {
+
+      // largest unit fraction <= remaining, with a denominator larger than the previous term
+      denominator = Math.max( denominator + 1, ceilDivide( remaining.denominator, remaining.numerator ) );
+      if ( terms.length === options.maxTerms || denominator > options.maxDenominator ) {
+        return null;
+      }
+      terms.push( new Fraction( 1, denominator ) );
+      remaining = subtractUnitFractions( remaining, 1, denominator );
+      if ( remaining === null ) {
+        return null;
+      }
+    }
+    return terms;
+  },
+
+  /**
+   * Gets all decompositions of a positive fraction into distinct unit fractions, within the limits. For example,
+   * with the default limits, 3/4 is [ 1/2, 1/4 ], [ 1/2, 1/5, 1/20 ], [ 1/2, 1/6, 1/12 ], [ 1/3, 1/4, 1/6 ], ...
+   * @param {Fraction} fraction - must be positive
+   * @param {Object} [options]
+   * @returns {Fraction[][]|null} - each decomposition's unit fractions are in order of decreasing value, null if an
+   *   intermediate value was too large to be represented exactly
+   * @public
+   */
+  getEgyptianFractions( fraction, options ) {
+    assert && assert( fraction instanceof Fraction && fraction.sign === 1, `fraction must be positive: ${fraction}` );
+
+    options = merge( {
+      maxTerms: 3, // {number} maximum number of unit fractions in a decomposition
+      maxDenominator: 100, // {number} maximum denominator of a unit fraction
+      maxResults: Number.POSITIVE_INFINITY // {number} stop searching after this many decompositions are found
+    }, options );
+    assert && assert( Number.isInteger( options.maxTerms ) && options.maxTerms > 0,
+      `invalid maxTerms: ${options.maxTerms}` );
+
+    const results = [];
+    const denominators = [];
+    let overflow = false; // whether an intermediate value was too large to be represented exactly
+
+    // Depth-first search, in order of increasing denominator. With k terms left, the next term 1/d is the largest
+    // of them, so k/d must be >= remaining.
+    const search = ( remaining, minDenominator ) => {
+      const termsLeft = options.maxTerms - denominators.length;
+      if ( !Number.isSafeInteger( termsLeft * remaining.denominator ) ) {
+        overflow = true;
+        return;
+      }
+      const first = Math.max( minDenominator, ceilDivide( remaining.denominator, remaining.numerator ) );
+      const last = Math.min( options.maxDenominator,
+        Fraction.floorDivide( termsLeft * remaining.denominator, remaining.numerator ) );
+      for ( let denominator = first; denominator <= last && results.length < options.maxResults && !overflow;
+            denominator++ ) {
+        const nextRemaining = subtractUnitFractions( remaining, 1, denominator );
+        if ( nextRemaining === null ) {
+          overflow = true;
+          return;
+        }
+        denominators.push( denominator );
+        if ( nextRemaining.numerator === 0 ) {
+          results.push( denominators.map( d => new Fraction( 1, d ) ) );
+        }
+        else if ( termsLeft > 1 ) {
+          search( nextRemaining, denominator + 1 );
+        }
+        denominators.pop();
+      }
+    };
+    search( toPositiveReduced( fraction ), 1 );
+
+    return overflow ? null : results;
+  },
+
+  /**
+   * Gets all decompositions of a positive fraction into unit-fraction pieces whose denominators are in a given set.
+   * Pieces may be repeated. Each decomposition contains one Fraction per denominator that is used, whose numerator
+   * is the number of pieces with that denominator. For example, with denominators [ 2, 4 ], 3/4 is [ 1/2, 1/4 ] or
+   * [ 3/4 ]. Decompositions are in order of decreasing use of the smaller denominators, so that decompositions with
+   * larger pieces are first.
+   * @param {Fraction} fraction - must be positive
+   * @param {number[]} denominators - positive integers
+   * @param {Object} [options]
+   * @returns {Fraction[][]|null} - each decomposition's fractions are in order of increasing denominator, null if an
+   *   intermediate value was too large to be represented exactly
+   * @public
+   */
+  getDecompositionsWithDenominators( fraction, denominators, options ) {
+    assert && assert( fraction instanceof Fraction && fraction.sign === 1, `fraction must be positive: ${fraction}` );
+    assert && assert( _.every( denominators, d => Number.isInteger( d ) && d > 0 ),
+      `invalid denominators: ${denominators}` );
+
+    options = merge( {
+      maxTerms: 12, // {number} maximum number of unit-fraction pieces in a decomposition
+      maxResults: Number.POSITIVE_INFINITY // {number} stop searching after this many decompositions are found
+    }, options );
+
+    const sortedDenominators = _.uniq( denominators ).sort( ( a, b ) => a - b );
+    const results = [];
+    const counts = [];
+    let overflow = false; // whether an intermediate value was too large to be represented exactly
+
+    // Depth-first search over the denominators, choosing the number of pieces for each denominator.
+    const search = ( remaining, index, piecesLeft ) => {
+      if ( remaining.numerator === 0 ) {
+        const decomposition = [];
+        counts.forEach( ( count, i ) => {
+          if ( count > 0 ) {
+            decomposition.push( new Fraction( count, sortedDenominators[ i ] ) );
+          }
+        } );
+        results.push( decomposition );
+        return;
+      }
+      if ( index === sortedDenominators.length ) {
+        return;
+      }
+      const denominator = sortedDenominators[ index ];
+      if ( !Number.isSafeInteger( remaining.numerator * denominator ) ) {
+        overflow = true;
+        return;
+      }
+      const maxCount = Math.min( piecesLeft,
+        Fraction.floorDivide( remaining.numerator * denominator, remaining.denominator ) );
+      for ( let count = maxCount; count >= 0 && results.length < options.maxResults && !overflow; count-- ) {
+        const nextRemaining = subtractUnitFractions( remaining, count, denominator );
+        if ( nextRemaining === null ) {
+          overflow = true;
+          return;
+        }
+        counts.push( count );
+        search( nextRemaining, index + 1, piecesLeft - count );
+        counts.pop();
+      }
+    };
+    search( toPositiveReduced( fraction ), 0, options.maxTerms );
+
+    return overflow ? null : results;
+  },
+
+  /**
+   * Splits a fraction into equal parts, e.g. 3/4 split into 2 parts is [ 3/8, 3/8 ]. The parts are not reduced.
+   * @param {Fraction} fraction
+   * @param {number} numberOfParts - positive integer
+   * @returns {Fraction[]}
+   * @public
+   */
+  splitEqually( fraction, numberOfParts ) {
+    assert && assert( fraction instanceof Fraction, `fraction is not a Fraction: ${fraction}` );
+    assert && assert( Number.isInteger( numberOfParts ) && numberOfParts > 0,
+      `invalid numberOfParts: ${numberOfParts}` );
+    return _.times( numberOfParts, () => fraction.dividedInteger( numberOfParts ) );
+  },
+
+  /**
+   * Is an array of fractions a decomposition of a fraction? That is, is the sum of the terms equal to the value of the
+   * fraction? Useful for validating a decomposition built by the user.
+   * @param {Fraction[]} terms
+   * @param {Fraction} fraction
+   * @returns {boolean}
+   * @public
+   */
+  isDecompositionOf( terms, fraction ) {
+    assert && assert( fraction instanceof Fraction, `fraction is not a Fraction: ${fraction}` );
+    const sum = new Fraction( 0, 1 );
+    terms.forEach( term => sum.add( term ).reduce() );
+    return sum.valueEquals( fraction );
+  }
+};
+
+/**
+ * Gets a reduced copy of a positive fraction, with positive numerator and denominator.
+ * @param {Fraction} fraction
+ * @returns {Fraction}
+ */
+function toPositiveReduced( fraction ) {
+  return fraction.abs().reduce();
+}
+
+/**
+ * Divides 2 positive safe integers, rounding up, exactly. See Fraction.floorDivide.
+ * @param {number} a
+ * @param {number} b
+ * @returns {number}
+ */
+function ceilDivide( a, b ) {
+  const quotient = Fraction.floorDivide( a, b );
+  return ( quotient * b === a ) ? quotient : quotient + 1;
+}
+
+/**
+ * Subtracts count/denominator from a fraction, returning a new reduced fraction.
+ * @param {Fraction} fraction - with positive denominator
+ * @param {number} count - non-negative integer
+ * @param {number} denominator - positive integer
+ * @returns {Fraction|null} - null if an intermediate value is too large to be represented exactly
+ */
+function subtractUnitFractions( fraction, count, denominator ) {
+  const products = [ fraction.numerator * denominator, count * fraction.denominator, fraction.denominator * denominator ];
+  if ( !_.every( products, Number.isSafeInteger ) ) {
+    return null;
+  }
+  const numerator = products[ 0 ] - products[ 1 ];
+  const gcd = Utils.gcd( numerator, products[ 2 ] );
+  return new Fraction( numerator / gcd, products[ 2 ] / gcd );
+}
+
+phetcommon.register( 'FractionDecomposition', FractionDecomposition );
+export default FractionDecomposition;
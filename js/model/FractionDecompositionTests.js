@@ -0,0 +1,96 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * FractionDecomposition tests
+ */
+
+import Fraction from './Fraction.js';
+import FractionDecomposition from './FractionDecomposition.js';
+
+QUnit.module( 'FractionDecomposition' );
+
+// Converts decompositions to strings, for comparison
+const toStrings = fractions => fractions.map( fraction => fraction.toString() );
+
+QUnit.test( 'getGreedyEgyptianFractions', assert => {
+  assert.deepEqual( toStrings( FractionDecomposition.getGreedyEgyptianFractions( new Fraction( 3, 4 ) ) ),
+    [ '1/2', '1/4' ], '3/4' );
+  assert.deepEqual( toStrings( FractionDecomposition.getGreedyEgyptianFractions( new Fraction( 4, 13 ) ) ),
+    [ '1/4', '1/18', '1/468' ], '4/13' );
+  assert.deepEqual( toStrings( FractionDecomposition.getGreedyEgyptianFractions( new Fraction( 2, 4 ) ) ),
+    [ '1/2' ], 'unreduced' );
+  assert.deepEqual( toStrings( FractionDecomposition.getGreedyEgyptianFractions( new Fraction( 3, 2 ) ) ),
+    [ '1/1', '1/2' ], 'greater than 1' );
+  assert.deepEqual( toStrings( FractionDecomposition.getGreedyEgyptianFractions( new Fraction( 1, 1 ) ) ),
+    [ '1/1' ], '1' );
+  assert.equal( FractionDecomposition.getGreedyEgyptianFractions( new Fraction( 4, 13 ), { maxTerms: 2 } ), null,
+    'maxTerms exceeded' );
+  assert.equal( FractionDecomposition.getGreedyEgyptianFractions( new Fraction( 4, 13 ), { maxDenominator: 100 } ), null,
+    'maxDenominator exceeded' );
+  window.assert && assert.throws( () => FractionDecomposition.getGreedyEgyptianFractions( new Fraction( -1, 2 ) ),
+    'negative' );
+
+  // denominators that are too large to be represented exactly
+  assert.equal( FractionDecomposition.getGreedyEgyptianFractions( new Fraction( 25, 179 ) ), null, '25/179' );
+  assert.equal( FractionDecomposition.getGreedyEgyptianFractions( new Fraction( 128, 179 ) ), null, '128/179' );
+  assert.equal( FractionDecomposition.getGreedyEgyptianFractions( new Fraction( 32, 193 ) ), null, '32/193' );
+} );
+
+QUnit.test( 'getEgyptianFractions', assert => {
+  const decompositions = FractionDecomposition.getEgyptianFractions( new Fraction( 3, 4 ), { maxDenominator: 12 } )
+    .map( toStrings );
+  assert.deepEqual( decompositions, [
+    [ '1/2', '1/4' ],
+    [ '1/2', '1/6', '1/12' ],
+    [ '1/3', '1/4', '1/6' ]
+  ], '3/4' );
+
+  const twoTerms = FractionDecomposition.getEgyptianFractions( new Fraction( 1, 2 ), { maxTerms: 2 } ).map( toStrings );
+  assert.deepEqual( twoTerms, [ [ '1/2' ], [ '1/3', '1/6' ] ], '1/2 in at most 2 terms, distinct' );
+
+  FractionDecomposition.getEgyptianFractions( new Fraction( 5, 6 ), { maxTerms: 4, maxDenominator: 30 } )
+    .forEach( terms => {
+      assert.ok( FractionDecomposition.isDecompositionOf( terms, new Fraction( 5, 6 ) ), `sum of ${toStrings( terms )}` );
+      assert.ok( _.every( terms, term => term.numerator === 1 ), 'unit fractions' );
+      assert.equal( _.uniqBy( terms, term => term.denominator ).length, terms.length, 'distinct' );
+    } );
+
+  assert.equal( FractionDecomposition.getEgyptianFractions( new Fraction( 5, 6 ), { maxResults: 2 } ).length, 2,
+    'maxResults' );
+  assert.equal( FractionDecomposition.getEgyptianFractions( new Fraction( 1, Math.pow( 2, 52 ) ) ), null,
+    'too large to be represented exactly' );
+} );
+
+QUnit.test( 'getDecompositionsWithDenominators', assert => {
+  const decompositions = FractionDecomposition.getDecompositionsWithDenominators( new Fraction( 3, 4 ), [ 4, 2 ] )
+    .map( toStrings );
+  assert.deepEqual( decompositions, [ [ '1/2', '1/4' ], [ '3/4' ] ], '3/4 with halves and fourths' );
+
+  const limited = FractionDecomposition.getDecompositionsWithDenominators( new Fraction( 1, 1 ), [ 2, 3, 6 ],
+    { maxTerms: 3 } ).map( toStrings );
+  assert.deepEqual( limited, [ [ '2/2' ], [ '1/2', '1/3', '1/6' ], [ '3/3' ] ], '1 with at most 3 pieces' );
+
+  assert.deepEqual( FractionDecomposition.getDecompositionsWithDenominators( new Fraction( 1, 3 ), [ 2, 4 ] ), [],
+    'no decomposition' );
+
+  FractionDecomposition.getDecompositionsWithDenominators( new Fraction( 5, 4 ), [ 2, 4, 8 ] ).forEach( terms => {
+    assert.ok( FractionDecomposition.isDecompositionOf( terms, new Fraction( 5, 4 ) ), `sum of ${toStrings( terms )}` );
+  } );
+
+  assert.equal( FractionDecomposition.getDecompositionsWithDenominators( new Fraction( 1, Math.pow( 2, 52 ) + 1 ),
+    [ 3, 4 ] ), null, 'too large to be represented exactly' );
+} );
+
+QUnit.test( 'splitEqually', assert => {
+  assert.deepEqual( toStrings( FractionDecomposition.splitEqually( new Fraction( 3, 4 ), 2 ) ), [ '3/8', '3/8' ], '3/4' );
+  assert.deepEqual( toStrings( FractionDecomposition.splitEqually( new Fraction( 1, 2 ), 3 ) ), [ '1/6', '1/6', '1/6' ],
+    '1/2' );
+} );
+
+QUnit.test( 'isDecompositionOf', assert => {
+  assert.ok( FractionDecomposition.isDecompositionOf( [ new Fraction( 1, 2 ), new Fraction( 2, 8 ) ], new Fraction( 3, 4 ) ),
+    'true' );
+  assert.ok( !FractionDecomposition.isDecompositionOf( [ new Fraction( 1, 2 ), new Fraction( 1, 8 ) ], new Fraction( 3, 4 ) ),
+    'false' );
+  assert.ok( FractionDecomposition.isDecompositionOf( [], Fraction.ZERO ), 'empty' );
+} );
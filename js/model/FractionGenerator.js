@@ -0,0 +1,167 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * Generates random Fractions that satisfy a set of constraints, e.g. for creating game challenges. Constraints are
+ * specified declaratively via options, for example "proper, reduced, denominator in {2,3,4,6,8}, value between 1/4
+ * and 3/4, not equal to the previous value":
+ *
+ * const generator = new FractionGenerator( {
+ *   denominators: [ 2, 3, 4, 6, 8 ],
+ *   proper: true,
+ *   reduced: true,
+ *   min: new Fraction( 1, 4 ),
+ *   max: new Fraction( 3, 4 )
+ * } );
+ * const fraction = generator.next();
+ *
+ * All fractions that satisfy the constraints are enumerated when the generator is created, in a deterministic order,
+ * and are then sampled using a dot Random. So a generator with a seed produces the same sequence of fractions every
+ * time, which makes challenges reproducible in tests and PhET-iO playback.
+ */
+
+import Random from '../../../dot/js/Random.js';
+import Utils from '../../../dot/js/Utils.js';
+import merge from '../../../phet-core/js/merge.js';
+import phetcommon from '../phetcommon.js';
+import Fraction from './Fraction.js';
+
+class FractionGenerator {
+
+  /**
+   * @param {Object} [options]
+   */
+  constructor( options ) {
+
+    options = merge( {
+
+      // {number|null} seed for the random number generator, null to use a random seed
+      seed: null,
+
+      // {number[]} allowed denominators, positive integers, in any order
+      denominators: [ 1, 2, 3, 4, 5, 6, 7, 8, 9, 10 ],
+
+      // {number[]|null} allowed numerators, null to allow any numerator
+      numerators: null,
+
+      // {boolean} whether fractions must be proper, i.e. |numerator| < denominator
+      proper: false,
+
+      // {boolean} whether fractions must be reduced
+      reduced: false,
+
+      // {Fraction} the range of allowed values, inclusive
+      min: Fraction.FROZEN_ZERO,
+      max: Fraction.FROZEN_ONE,
+
+      // {Fraction[]} fractions whose values are never generated, compared by value, so excluding 1/2 also excludes 2/4
+      exclude: [],
+
+      // {number} the number of most-recently generated values that will not be generated again by next
+      historyLength: 1,
+
+      // {function(Fraction):boolean} any additional constraint
+      isValidFraction: fraction => true
+    }, options );
+
+    assert && assert( options.denominators.length > 0, 'at least 1 denominator is required' );
+    assert && assert( _.every( options.denominators, denominator => Number.isInteger( denominator ) && denominator > 0 ),
+      `invalid denominators: ${options.denominators}` );
+    assert && assert( options.min.isLessThanOrEqualTo( options.max ), `min ${options.min} must be <= max ${options.max}` );
+    assert && assert( Number.isInteger( options.historyLength ) && options.historyLength >= 0,
+      `invalid historyLength: ${options.historyLength}` );
+
+    // @private
+    this.random = new Random( { seed: options.seed } );
+
+    // @private {Fraction[]} all fractions that satisfy the constraints, in order of denominator then numerator
+    this.candidates = [];
+    _.uniq( options.denominators ).sort( ( a, b ) => a - b ).forEach( denominator => {
+      const maxNumerator = options.max.floored( denominator ).numerator;
+      for ( let numerator = options.min.ceiled( denominator ).numerator; numerator <= maxNumerator; numerator++ ) {
+        const fraction = new Fraction( numerator, denominator );
+        if ( ( !options.numerators || options.numerators.includes( numerator ) ) &&
+             ( !options.proper || Math.abs( numerator ) < denominator ) &&
+             ( !options.reduced || Utils.gcd( numerator, denominator ) === 1 ) &&
+             !_.some( options.exclude, excluded => excluded.valueEquals( fraction ) ) &&
+             options.isValidFraction( fraction ) ) {
+          this.candidates.push( fraction.freeze() );
+        }
+      }
+    } );
+    assert && assert( this.candidates.length > 0, 'no fractions satisfy the constraints' );
+
+    // @private
+    this.historyLength = options.historyLength;
+
+    // @private {Fraction[]} the most recently generated values, most recent last
+    this.history = [];
+  }
+
+  /**
+   * Gets all of the fractions that satisfy the constraints, in order of denominator then numerator.
+   * @returns {Fraction[]}
+   * @public
+   */
+  getCandidates() {
+    return this.candidates.map( fraction => fraction.copy() );
+  }
+
+  /**
+   * Generates a random fraction that satisfies the constraints, and whose value is not one of the most recently
+   * generated values (see options.historyLength). If there are too few candidates to avoid all of the recent values,
+   * values are repeated, but not the most recent value unless it is the only candidate.
+   * @returns {Fraction}
+   * @public
+   */
+  next() {
+    let candidates = this.getCandidatesNotIn( this.history );
+    if ( candidates.length === 0 ) {
+      candidates = this.getCandidatesNotIn( this.history.slice( -1 ) );
+    }
+    if ( candidates.length === 0 ) {
+      candidates = this.candidates;
+    }
+
+    const fraction = this.random.sample( candidates );
+    this.history.push( fraction );
+    if ( this.history.length > this.historyLength ) {
+      this.history.shift();
+    }
+    return fraction.copy();
+  }
+
+  /**
+   * Generates random fractions that satisfy the constraints and that all have different values, e.g. for the choices
+   * in a multiple-choice challenge. This does not use or change the history that is used by next.
+   * @param {number} count - the number of fractions, there must be at least this many different candidate values
+   * @returns {Fraction[]}
+   * @public
+   */
+  nextDistinct( count ) {
+    const fractions = _.uniqWith( this.random.shuffle( this.candidates ), ( a, b ) => a.valueEquals( b ) );
+    assert && assert( Number.isInteger( count ) && count >= 0 && count <= fractions.length,
+      `invalid count ${count}, there are ${fractions.length} different values` );
+    return fractions.slice( 0, count ).map( fraction => fraction.copy() );
+  }
+
+  /**
+   * Forgets the most recently generated values, so that they may be generated again by next.
+   * @public
+   */
+  reset() {
+    this.history = [];
+  }
+
+  /**
+   * Gets the candidates whose values are not equal to any of the provided fractions.
+   * @param {Fraction[]} fractions
+   * @returns {Fraction[]}
+   * @private
+   */
+  getCandidatesNotIn( fractions ) {
+    return this.candidates.filter( candidate => !_.some( fractions, fraction => fraction.valueEquals( candidate ) ) );
+  }
+}
+
+phetcommon.register( 'FractionGenerator', FractionGenerator );
+export default FractionGenerator;
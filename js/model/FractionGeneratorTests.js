@@ -0,0 +1,79 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * FractionGenerator tests
+ */
+
+import Fraction from './Fraction.js';
+import FractionGenerator from './FractionGenerator.js';
+
+QUnit.module( 'FractionGenerator' );
+
+const toStrings = fractions => fractions.map( fraction => fraction.toString() );
+
+QUnit.test( 'candidates', assert => {
+  const generator = new FractionGenerator( {
+    denominators: [ 2, 3, 4, 6, 8 ],
+    proper: true,
+    reduced: true,
+    min: new Fraction( 1, 4 ),
+    max: new Fraction( 3, 4 )
+  } );
+  assert.deepEqual( toStrings( generator.getCandidates() ), [ '1/2', '1/3', '2/3', '1/4', '3/4', '3/8', '5/8' ],
+    'proper, reduced, in range' );
+
+  assert.deepEqual( toStrings( new FractionGenerator( {
+    denominators: [ 2, 4 ],
+    min: new Fraction( 1, 2 ),
+    max: new Fraction( 3, 2 ),
+    exclude: [ new Fraction( 2, 2 ) ]
+  } ).getCandidates() ), [ '1/2', '3/2', '2/4', '3/4', '5/4', '6/4' ], 'improper, unreduced, exclude by value' );
+
+  assert.deepEqual( toStrings( new FractionGenerator( {
+    denominators: [ 5 ],
+    numerators: [ 1, 2 ],
+    isValidFraction: fraction => fraction.numerator !== 1
+  } ).getCandidates() ), [ '2/5' ], 'numerators and isValidFraction' );
+
+  assert.deepEqual( toStrings( new FractionGenerator( { denominators: [ 4, 2, 4 ], proper: true } ).getCandidates() ),
+    [ '0/2', '1/2', '0/4', '1/4', '2/4', '3/4' ], 'denominators are sorted and deduplicated' );
+
+  window.assert && assert.throws( () => new FractionGenerator( { denominators: [ 3 ], proper: true, reduced: true,
+    min: new Fraction( 1, 2 ), max: new Fraction( 3, 5 ) } ), 'no candidates' );
+} );
+
+QUnit.test( 'next', assert => {
+  const options = { seed: 42, denominators: [ 2, 3, 4 ], proper: true, min: new Fraction( 1, 4 ) };
+  const sequence = generator => toStrings( _.times( 20, () => generator.next() ) );
+  const values = sequence( new FractionGenerator( options ) );
+  assert.deepEqual( sequence( new FractionGenerator( options ) ), values, 'deterministic for a seed' );
+  assert.ok( values.every( value => [ '1/2', '1/3', '2/3', '1/4', '2/4', '3/4' ].includes( value ) ), 'satisfies constraints' );
+
+  const generator = new FractionGenerator( { seed: 7, denominators: [ 2, 4 ], proper: true, min: new Fraction( 1, 4 ),
+    historyLength: 2 } );
+  let previous = [];
+  _.times( 20, () => {
+    const fraction = generator.next();
+    assert.ok( !previous.some( p => p.valueEquals( fraction ) ), `${fraction} is not a recent value` );
+    previous = previous.concat( fraction ).slice( -2 );
+  } );
+
+  const mutated = new FractionGenerator( { seed: 1, denominators: [ 3 ] } );
+  mutated.next().add( Fraction.ONE );
+  assert.ok( mutated.getCandidates().every( fraction => fraction.isLessThanOrEqualTo( Fraction.ONE ) ),
+    'returned fractions are copies' );
+
+  const single = new FractionGenerator( { denominators: [ 2 ], min: new Fraction( 1, 2 ), max: new Fraction( 1, 2 ) } );
+  assert.ok( single.next().equals( new Fraction( 1, 2 ) ) && single.next().equals( new Fraction( 1, 2 ) ),
+    'repeats when there is only 1 candidate' );
+} );
+
+QUnit.test( 'nextDistinct', assert => {
+  const generator = new FractionGenerator( { seed: 3, denominators: [ 2, 4, 8 ], proper: true } );
+  const fractions = generator.nextDistinct( 4 );
+  assert.equal( fractions.length, 4, 'count' );
+  assert.ok( fractions.every( ( a, i ) => fractions.every( ( b, j ) => i === j || !a.valueEquals( b ) ) ),
+    'different values' );
+  assert.equal( generator.nextDistinct( 8 ).length, 8, 'all different values' );
+  window.assert && assert.throws( () => generator.nextDistinct( 9 ), 'too many' );
+} );
@@ -0,0 +1,168 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * A Map whose keys are Fractions. By default, fractions with equal values are the same key, e.g. 1/2 and 2/4, so this
+ * can be used to count the frequencies of values or to deduplicate them. With the structural option, fractions are
+ * the same key only if they are equal (see Fraction.equals), e.g. 1/2 and 2/4 are different keys.
+ *
+ * The API is similar to Map, except that keys, values and entries return arrays rather than iterators. The keys are
+ * frozen copies (see Fraction.freeze) of the fractions that were first used to set each entry, so they can't be
+ * changed by mutating the fractions that were provided.
+ */
+
+import merge from '../../../phet-core/js/merge.js';
+import phetcommon from '../phetcommon.js';
+import Fraction from './Fraction.js';
+
+class FractionMap {
+
+  /**
+   * @param {Iterable.<Array.<Fraction|*>>} [entries] - [ key, value ] pairs to add to the map
+   * @param {Object} [options]
+   */
+  constructor( entries, options ) {
+
+    options = merge( {
+      structural: false // {boolean} whether keys are compared using Fraction.equals rather than by value
+    }, options );
+
+    // @public (read-only)
+    this.structural = options.structural;
+
+    // @private {Map.<string,{fraction:Fraction, value:*}>} the entries, by the key of their fraction
+    this.map = new Map();
+
+    if ( entries ) {
+      for ( const [ fraction, value ] of entries ) {
+        this.set( fraction, value );
+      }
+    }
+  }
+
+  /**
+   * Gets the number of entries.
+   * @returns {number}
+   * @public
+   */
+  get size() {
+    return this.map.size;
+  }
+
+  /**
+   * Gets the value for a fraction.
+   * @param {Fraction} fraction
+   * @returns {*} - undefined if there is no entry for the fraction
+   * @public
+   */
+  get( fraction ) {
+    const entry = this.map.get( this.getKey( fraction ) );
+    return entry ? entry.value : undefined;
+  }
+
+  /**
+   * Sets the value for a fraction. If there is already an entry for the fraction, its value is replaced, and its key
+   * is unchanged.
+   * @param {Fraction} fraction
+   * @param {*} value
+   * @returns {FractionMap} - Reference to this (for chaining)
+   * @public
+   */
+  set( fraction, value ) {
+    const key = this.getKey( fraction );
+    const entry = this.map.get( key );
+    if ( entry ) {
+      entry.value = value;
+    }
+    else {
+      this.map.set( key, { fraction: fraction.isFrozen() ? fraction : fraction.copy().freeze(), value: value } );
+    }
+    return this;
+  }
+
+  /**
+   * Is there an entry for a fraction?
+   * @param {Fraction} fraction
+   * @returns {boolean}
+   * @public
+   */
+  has( fraction ) {
+    return this.map.has( this.getKey( fraction ) );
+  }
+
+  /**
+   * Removes the entry for a fraction.
+   * @param {Fraction} fraction
+   * @returns {boolean} - whether there was an entry for the fraction
+   * @public
+   */
+  delete( fraction ) {
+    return this.map.delete( this.getKey( fraction ) );
+  }
+
+  /**
+   * Removes all entries.
+   * @public
+   */
+  clear() {
+    this.map.clear();
+  }
+
+  /**
+   * Gets the keys, in insertion order.
+   * @returns {Fraction[]} - frozen
+   * @public
+   */
+  keys() {
+    return Array.from( this.map.values(), entry => entry.fraction );
+  }
+
+  /**
+   * Gets the values, in insertion order.
+   * @returns {Array.<*>}
+   * @public
+   */
+  values() {
+    return Array.from( this.map.values(), entry => entry.value );
+  }
+
+  /**
+   * Gets the [ key, value ] pairs, in insertion order.
+   * @returns {Array.<Array.<Fraction|*>>}
+   * @public
+   */
+  entries() {
+    return Array.from( this.map.values(), entry => [ entry.fraction, entry.value ] );
+  }
+
+  /**
+   * Calls a function for each entry, in insertion order.
+   * @param {function(value:*, fraction:Fraction, map:FractionMap)} callback
+   * @public
+   */
+  forEach( callback ) {
+    this.entries().forEach( ( [ fraction, value ] ) => callback( value, fraction, this ) );
+  }
+
+  /**
+   * Iterates over the [ key, value ] pairs, so that a FractionMap can be used in a for...of loop, like Map.
+   * @returns {Iterator.<Array.<Fraction|*>>}
+   * @public
+   */
+  [ Symbol.iterator ]() {
+    return this.entries()[ Symbol.iterator ]();
+  }
+
+  /**
+   * Gets the key of the underlying Map for a fraction.
+   * @param {Fraction} fraction
+   * @returns {string}
+   * @private
+   */
+  getKey( fraction ) {
+    assert && assert( fraction instanceof Fraction, `fraction is not a Fraction: ${fraction}` );
+    return this.structural ? fraction.getStructuralKey() : fraction.getKey();
+  }
+}
+
+phetcommon.register( 'FractionMap', FractionMap );
+export default FractionMap;
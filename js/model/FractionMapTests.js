@@ -0,0 +1,74 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * FractionMap tests
+ */
+
+import Fraction from './Fraction.js';
+import FractionMap from './FractionMap.js';
+
+QUnit.module( 'FractionMap' );
+
+QUnit.test( 'value keys', assert => {
+  const map = new FractionMap();
+  map.set( new Fraction( 1, 2 ), 'a' );
+  assert.equal( map.get( new Fraction( 2, 4 ) ), 'a', '2/4 is the same key as 1/2' );
+  assert.equal( map.get( new Fraction( -1, -2 ) ), 'a', '-1/-2 is the same key as 1/2' );
+  assert.ok( map.has( new Fraction( 3, 6 ) ), 'has' );
+  assert.ok( !map.has( new Fraction( -1, 2 ) ), 'does not have' );
+  assert.equal( map.get( new Fraction( 1, 3 ) ), undefined, 'no entry' );
+
+  map.set( new Fraction( 2, 4 ), 'b' );
+  assert.equal( map.size, 1, 'value replaced' );
+  assert.equal( map.get( new Fraction( 1, 2 ) ), 'b', 'new value' );
+  assert.ok( map.keys()[ 0 ].equals( new Fraction( 1, 2 ) ), 'key is unchanged' );
+
+  // counting frequencies
+  const counts = new FractionMap();
+  [ new Fraction( 1, 2 ), new Fraction( 1, 3 ), new Fraction( 2, 4 ), new Fraction( 0, 5 ), new Fraction( 0, -2 ) ]
+    .forEach( fraction => counts.set( fraction, ( counts.get( fraction ) || 0 ) + 1 ) );
+  assert.deepEqual( counts.entries().map( ( [ fraction, count ] ) => `${fraction}:${count}` ), [ '1/2:2', '1/3:1', '0/5:2' ],
+    'counts' );
+
+  assert.ok( counts.delete( new Fraction( 3, 9 ) ), 'delete' );
+  assert.ok( !counts.delete( new Fraction( 3, 9 ) ), 'delete again' );
+  assert.deepEqual( counts.values(), [ 2, 2 ], 'values' );
+  counts.clear();
+  assert.equal( counts.size, 0, 'clear' );
+} );
+
+QUnit.test( 'structural keys', assert => {
+  const map = new FractionMap( [ [ new Fraction( 1, 2 ), 'a' ], [ new Fraction( 2, 4 ), 'b' ] ], { structural: true } );
+  assert.equal( map.size, 2, 'different keys' );
+  assert.equal( map.get( new Fraction( 1, 2 ) ), 'a', '1/2' );
+  assert.equal( map.get( new Fraction( 2, 4 ) ), 'b', '2/4' );
+  assert.ok( !map.has( new Fraction( -1, -2 ) ), '-1/-2 is a different key' );
+} );
+
+QUnit.test( 'keys and iteration', assert => {
+  const fraction = new Fraction( 3, 4 );
+  const map = new FractionMap( [ [ fraction, 1 ], [ Fraction.ONE, 2 ] ] );
+  fraction.add( Fraction.ONE );
+  assert.ok( map.keys()[ 0 ].equals( new Fraction( 3, 4 ) ), 'key is a copy' );
+  assert.ok( map.keys()[ 0 ].isFrozen(), 'key is frozen' );
+  assert.ok( map.has( new Fraction( 3, 4 ) ), 'mutating the provided fraction does not change the entry' );
+
+  const iterated = [];
+  for ( const [ key, value ] of map ) {
+    iterated.push( `${key}=${value}` );
+  }
+  assert.deepEqual( iterated, [ '3/4=1', '1/1=2' ], 'for...of' );
+
+  const forEached = [];
+  map.forEach( ( value, key, m ) => forEached.push( `${key}=${value}`, m === map ) );
+  assert.deepEqual( forEached, [ '3/4=1', true, '1/1=2', true ], 'forEach' );
+} );
+
+QUnit.test( 'Fraction keys', assert => {
+  assert.equal( new Fraction( 2, 4 ).getKey(), '1/2', '2/4' );
+  assert.equal( new Fraction( -2, -4 ).getKey(), '1/2', '-2/-4' );
+  assert.equal( new Fraction( 2, -4 ).getKey(), '-1/2', '2/-4' );
+  assert.equal( new Fraction( 0, -4 ).getKey(), '0/1', '0/-4' );
+  assert.equal( new Fraction( 2, -4 ).getStructuralKey(), '2/-4', 'structural' );
+  window.assert && assert.throws( () => new Fraction( 1, 0 ).getKey(), 'zero denominator' );
+} );
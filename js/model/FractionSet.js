@@ -0,0 +1,121 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * A Set of Fractions. By default, fractions with equal values are the same element, e.g. 1/2 and 2/4, so this can be
+ * used to deduplicate values. With the structural option, fractions are the same element only if they are equal
+ * (see Fraction.equals), e.g. 1/2 and 2/4 are different elements.
+ *
+ * The API is similar to Set, except that values returns an array rather than an iterator, and there are no keys or
+ * entries methods. The elements are frozen copies (see Fraction.freeze) of the fractions that were first added, so
+ * they can't be changed by mutating the fractions that were provided. See FractionMap.
+ */
+
+import merge from '../../../phet-core/js/merge.js';
+import phetcommon from '../phetcommon.js';
+import FractionMap from './FractionMap.js';
+
+class FractionSet {
+
+  /**
+   * @param {Iterable.<Fraction>} [fractions] - fractions to add to the set
+   * @param {Object} [options]
+   */
+  constructor( fractions, options ) {
+
+    options = merge( {
+      structural: false // {boolean} whether elements are compared using Fraction.equals rather than by value
+    }, options );
+
+    // @public (read-only)
+    this.structural = options.structural;
+
+    // @private {FractionMap} the elements are the keys, the values are unused
+    this.map = new FractionMap( null, { structural: options.structural } );
+
+    if ( fractions ) {
+      for ( const fraction of fractions ) {
+        this.add( fraction );
+      }
+    }
+  }
+
+  /**
+   * Gets the number of elements.
+   * @returns {number}
+   * @public
+   */
+  get size() {
+    return this.map.size;
+  }
+
+  /**
+   * Adds a fraction, if there is no equal element.
+   * @param {Fraction} fraction
+   * @returns {FractionSet} - Reference to this (for chaining)
+   * @public
+   */
+  add( fraction ) {
+    if ( !this.map.has( fraction ) ) {
+      this.map.set( fraction, true );
+    }
+    return this;
+  }
+
+  /**
+   * Is there an element that is equal to a fraction?
+   * @param {Fraction} fraction
+   * @returns {boolean}
+   * @public
+   */
+  has( fraction ) {
+    return this.map.has( fraction );
+  }
+
+  /**
+   * Removes the element that is equal to a fraction.
+   * @param {Fraction} fraction
+   * @returns {boolean} - whether there was an element equal to the fraction
+   * @public
+   */
+  delete( fraction ) {
+    return this.map.delete( fraction );
+  }
+
+  /**
+   * Removes all elements.
+   * @public
+   */
+  clear() {
+    this.map.clear();
+  }
+
+  /**
+   * Gets the elements, in insertion order.
+   * @returns {Fraction[]} - frozen
+   * @public
+   */
+  values() {
+    return this.map.keys();
+  }
+
+  /**
+   * Calls a function for each element, in insertion order.
+   * @param {function(fraction:Fraction, fraction:Fraction, set:FractionSet)} callback - arguments are as for Set
+   * @public
+   */
+  forEach( callback ) {
+    this.values().forEach( fraction => callback( fraction, fraction, this ) );
+  }
+
+  /**
+   * Iterates over the elements, so that a FractionSet can be used in a for...of loop, like Set.
+   * @returns {Iterator.<Fraction>}
+   * @public
+   */
+  [ Symbol.iterator ]() {
+    return this.values()[ Symbol.iterator ]();
+  }
+}
+
+phetcommon.register( 'FractionSet', FractionSet );
+export default FractionSet;
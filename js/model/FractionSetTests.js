@@ -0,0 +1,41 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * FractionSet tests
+ */
+
+import Fraction from './Fraction.js';
+import FractionSet from './FractionSet.js';
+
+QUnit.module( 'FractionSet' );
+
+QUnit.test( 'value elements', assert => {
+  const set = new FractionSet( [ new Fraction( 1, 2 ), new Fraction( 2, 4 ), new Fraction( 1, 3 ), new Fraction( -3, -6 ) ] );
+  assert.equal( set.size, 2, 'deduplicated by value' );
+  assert.deepEqual( set.values().map( fraction => fraction.toString() ), [ '1/2', '1/3' ], 'first added is kept' );
+  assert.ok( set.has( new Fraction( 4, 8 ) ), 'has' );
+  assert.ok( !set.has( new Fraction( 1, 4 ) ), 'does not have' );
+
+  assert.equal( set.add( new Fraction( 1, 4 ) ).size, 3, 'add' );
+  assert.ok( set.delete( new Fraction( 2, 8 ) ), 'delete by value' );
+  assert.ok( !set.has( new Fraction( 1, 4 ) ), 'deleted' );
+
+  const iterated = [];
+  for ( const fraction of set ) {
+    iterated.push( fraction.toString() );
+  }
+  assert.deepEqual( iterated, [ '1/2', '1/3' ], 'for...of' );
+
+  const forEached = [];
+  set.forEach( ( value, key ) => forEached.push( value === key ) );
+  assert.deepEqual( forEached, [ true, true ], 'forEach' );
+
+  set.clear();
+  assert.equal( set.size, 0, 'clear' );
+} );
+
+QUnit.test( 'structural elements', assert => {
+  const set = new FractionSet( [ new Fraction( 1, 2 ), new Fraction( 2, 4 ), new Fraction( 1, 2 ) ], { structural: true } );
+  assert.equal( set.size, 2, 'deduplicated structurally' );
+  assert.ok( set.has( new Fraction( 2, 4 ) ) && !set.has( new Fraction( 3, 6 ) ), 'has' );
+} );
@@ -226,4 +226,553 @@ QUnit.test( 'fromDecimal', assert => {
   // testFraction( 1/3, 1, 3 );
   // testFraction( 123/12345, 123, 12345 );
   testFraction( 123 / 12345, 2490886998784933, 250000000000000000 ); // but this will because of rounding
-} );
\ No newline at end of file
+} );
+
+QUnit.test( 'mixed numbers', assert => {
+
+  const testMixedNumber = ( fraction, whole, fractionalPart, mixedNumber ) => {
+    assert.equal( fraction.getWholePart(), whole, `whole part of ${fraction}` );
+    assert.ok( fraction.getFractionalPart().equals( fractionalPart ), `fractional part of ${fraction}` );
+    assert.deepEqual( fraction.toMixedNumber(), mixedNumber, `toMixedNumber of ${fraction}` );
+    const sum = fractionalPart.plusInteger( whole );
+    assert.ok( !sum.isLessThan( fraction ) && !fraction.isLessThan( sum ), `whole + fractional part is ${fraction}` );
+  };
+
+  testMixedNumber( new Fraction( 11, 4 ), 2, new Fraction( 3, 4 ), { whole: 2, numerator: 3, denominator: 4 } );
+  testMixedNumber( new Fraction( -11, 4 ), -2, new Fraction( -3, 4 ), { whole: -2, numerator: 3, denominator: 4 } );
+  testMixedNumber( new Fraction( 11, -4 ), -2, new Fraction( 3, -4 ), { whole: -2, numerator: 3, denominator: 4 } );
+  testMixedNumber( new Fraction( -11, -4 ), 2, new Fraction( -3, -4 ), { whole: 2, numerator: 3, denominator: 4 } );
+  testMixedNumber( new Fraction( 3, 4 ), 0, new Fraction( 3, 4 ), { whole: 0, numerator: 3, denominator: 4 } );
+  testMixedNumber( new Fraction( -3, 4 ), 0, new Fraction( -3, 4 ), { whole: 0, numerator: -3, denominator: 4 } );
+  testMixedNumber( new Fraction( 3, -4 ), 0, new Fraction( 3, -4 ), { whole: 0, numerator: -3, denominator: 4 } );
+  testMixedNumber( new Fraction( 8, 4 ), 2, new Fraction( 0, 4 ), { whole: 2, numerator: 0, denominator: 4 } );
+  testMixedNumber( new Fraction( 0, 4 ), 0, new Fraction( 0, 4 ), { whole: 0, numerator: 0, denominator: 4 } );
+  testMixedNumber( new Fraction( 22, 8 ), 2, new Fraction( 6, 8 ), { whole: 2, numerator: 6, denominator: 8 } );
+
+  assert.ok( Fraction.fromMixedNumber( 2, 3, 4 ).equals( new Fraction( 11, 4 ) ), 'fromMixedNumber positive' );
+  assert.ok( Fraction.fromMixedNumber( -2, 3, 4 ).equals( new Fraction( -11, 4 ) ), 'fromMixedNumber negative' );
+  assert.ok( Fraction.fromMixedNumber( 0, -3, 4 ).equals( new Fraction( -3, 4 ) ), 'fromMixedNumber zero whole' );
+  assert.ok( Fraction.fromMixedNumber( 0, 3, -4 ).equals( new Fraction( -3, 4 ) ), 'fromMixedNumber zero whole' );
+  assert.ok( Fraction.fromMixedNumber( 5, 0, 4 ).equals( new Fraction( 20, 4 ) ), 'fromMixedNumber zero numerator' );
+
+  // round trip
+  [ new Fraction( 11, 4 ), new Fraction( -11, 4 ), new Fraction( 11, -4 ), new Fraction( -3, 4 ), new Fraction( 7, 7 ) ]
+    .forEach( fraction => {
+      const mixedNumber = fraction.toMixedNumber();
+      const roundTrip = Fraction.fromMixedNumber( mixedNumber.whole, mixedNumber.numerator, mixedNumber.denominator );
+      assert.ok( !roundTrip.isLessThan( fraction ) && !fraction.isLessThan( roundTrip ), `round trip ${fraction}` );
+    } );
+
+  // zero denominator and invalid mixed numbers
+  if ( window.assert ) {
+    assert.throws( () => new Fraction( 5, 0 ).getWholePart(), 'whole part with zero denominator' );
+    assert.throws( () => new Fraction( 5, 0 ).getFractionalPart(), 'fractional part with zero denominator' );
+    assert.throws( () => new Fraction( 5, 0 ).toMixedNumber(), 'toMixedNumber with zero denominator' );
+    assert.throws( () => Fraction.fromMixedNumber( 1, 1, 0 ), 'fromMixedNumber with zero denominator' );
+    assert.throws( () => Fraction.fromMixedNumber( 1, 5, 4 ), 'fromMixedNumber with improper fractional part' );
+    assert.throws( () => Fraction.fromMixedNumber( -1, -1, 4 ), 'fromMixedNumber with sign on both parts' );
+  }
+} );
+
+QUnit.test( 'parse', assert => {
+
+  const testParse = ( string, numerator, denominator ) => {
+    const fraction = Fraction.parse( string );
+    assert.ok( fraction.equals( new Fraction( numerator, denominator ) ),
+      `parse "${string}" expected ${numerator}/${denominator}, got ${fraction}` );
+  };
+
+  // numerator/denominator, not reduced
+  testParse( '3/4', 3, 4 );
+  testParse( '-3/4', -3, 4 );
+  testParse( '3/-4', 3, -4 );
+  testParse( ' 6 / 8 ', 6, 8 );
+  testParse( '+6/8', 6, 8 );
+  testParse( '−3/4', -3, 4 );
+
+  // mixed numbers
+  testParse( '2 1/2', 5, 2 );
+  testParse( '-2 1/2', -5, 2 );
+  testParse( '-0 1/2', -1, 2 );
+  testParse( '1 2/4', 6, 4 );
+
+  // integers and decimals, reduced
+  testParse( '2', 2, 1 );
+  testParse( '-2', -2, 1 );
+  testParse( '0.75', 3, 4 );
+  testParse( '-.5', -1, 2 );
+  testParse( '1.25', 5, 4 );
+  testParse( '0.1234567', 1234567, 10000000 );
+
+  // repeating decimals
+  testParse( '0.(3)', 1, 3 );
+  testParse( '-0.(6)', -2, 3 );
+  testParse( '0.(142857)', 1, 7 );
+  testParse( '1.2(34)', 611, 495 );
+  testParse( '0.1(6)', 1, 6 );
+  testParse( '0.(9)', 1, 1 );
+
+  // percent
+  testParse( '75%', 3, 4 );
+  testParse( '12.5%', 1, 8 );
+  testParse( '-50 %', -1, 2 );
+  testParse( '33.(3)%', 1, 3 );
+
+  // invalid input
+  const testError = ( string, messageSubstring ) => {
+    let message = null;
+    try {
+      Fraction.parse( string );
+    }
+    catch( e ) {
+      message = e.message;
+    }
+    assert.ok( message && message.indexOf( messageSubstring ) !== -1, `"${string}" error message: ${message}` );
+  };
+  testError( '', 'empty' );
+  testError( '   ', 'empty' );
+  testError( '3/0', 'denominator must not be zero' );
+  testError( '1 1/0', 'denominator must not be zero' );
+  testError( '1 5/4', 'must be less than 1' );
+  testError( '0.(3', 'repeating digits' );
+  testError( '(3)', 'repeating digits' );
+  testError( 'three quarters', 'not a fraction' );
+  testError( '3/4/5', 'not a fraction' );
+  testError( '1.2.3', 'not a fraction' );
+  testError( '.', 'not a fraction' );
+  testError( '%', 'not a fraction' );
+  testError( '99999999999999999/2', 'too large' );
+} );
+
+QUnit.test( 'continued fractions', assert => {
+  assert.deepEqual( new Fraction( 415, 93 ).getContinuedFraction(), [ 4, 2, 6, 7 ], '415/93' );
+  assert.deepEqual( new Fraction( -415, 93 ).getContinuedFraction(), [ -5, 1, 1, 6, 7 ], '-415/93' );
+  assert.deepEqual( new Fraction( 415, -93 ).getContinuedFraction(), [ -5, 1, 1, 6, 7 ], '415/-93' );
+  assert.deepEqual( new Fraction( 3, 1 ).getContinuedFraction(), [ 3 ], 'integer' );
+  assert.deepEqual( new Fraction( 0, 5 ).getContinuedFraction(), [ 0 ], 'zero' );
+  assert.deepEqual( new Fraction( 1, 3 ).getContinuedFraction(), [ 0, 3 ], '1/3' );
+
+  assert.deepEqual( Fraction.continuedFractionOf( 0.75 ), [ 0, 1, 3 ], '0.75' );
+  assert.deepEqual( Fraction.continuedFractionOf( -0.75 ), [ -1, 4 ], '-0.75' );
+  assert.deepEqual( Fraction.continuedFractionOf( Math.PI, 5 ), [ 3, 7, 15, 1, 292 ], 'pi' );
+  assert.ok( Fraction.fromContinuedFraction( Fraction.continuedFractionOf( 0.3333333 ) )
+    .equals( new Fraction( 3333333, 10000000 ) ), '0.3333333' );
+
+  assert.ok( Fraction.fromContinuedFraction( [ 4, 2, 6, 7 ] ).equals( new Fraction( 415, 93 ) ), 'fromContinuedFraction' );
+  assert.ok( Fraction.fromContinuedFraction( [ -5, 1, 1, 6, 7 ] ).equals( new Fraction( -415, 93 ) ), 'fromContinuedFraction negative' );
+  assert.deepEqual( Fraction.getConvergents( [ 3, 7, 15, 1 ] ).map( fraction => fraction.toString() ),
+    [ '3/1', '22/7', '333/106', '355/113' ], 'convergents of pi' );
+} );
+
+QUnit.test( 'approximate', assert => {
+
+  const testApproximate = ( number, options, numerator, denominator ) => {
+    const fraction = Fraction.approximate( number, options );
+    assert.ok( fraction.equals( new Fraction( numerator, denominator ) ),
+      `approximate ${number} with ${JSON.stringify( options )} expected ${numerator}/${denominator}, got ${fraction}` );
+  };
+
+  testApproximate( 0.3333333, { maxDenominator: 100 }, 1, 3 );
+  testApproximate( 0.3333333, { tolerance: 1E-6 }, 1, 3 );
+  testApproximate( 0.3333333, {}, 3333333, 10000000 );
+  testApproximate( 1 / 3, {}, 1, 3 );
+  testApproximate( -2 / 3, {}, -2, 3 );
+  testApproximate( 0.75, {}, 3, 4 );
+  testApproximate( 2, {}, 2, 1 );
+  testApproximate( Math.PI, { maxDenominator: 100 }, 311, 99 );
+  testApproximate( Math.PI, { maxDenominator: 10 }, 22, 7 );
+  testApproximate( Math.PI, { maxDenominator: 1000 }, 355, 113 );
+  testApproximate( Math.PI, { tolerance: 0.01 }, 22, 7 );
+  testApproximate( Math.PI, { maxDenominator: 1 }, 3, 1 );
+  testApproximate( Math.SQRT2, { maxDenominator: 20 }, 24, 17 ); // semiconvergent
+  testApproximate( -Math.SQRT2, { maxDenominator: 16 }, -17, 12 );
+  testApproximate( 0.26, { maxDenominator: 8 }, 1, 4 );
+  testApproximate( 0.49, { tolerance: 0.02 }, 1, 2 );
+
+  // measured values snapped to 'nice' fractions
+  testApproximate( 0.6666, { tolerance: 0.001 }, 2, 3 );
+  testApproximate( 0.124, { maxDenominator: 12 }, 1, 8 );
+
+  // huge partial quotients, which must not be visited one at a time
+  testApproximate( 1E-12, {}, 1, 1E12 );
+  testApproximate( 1E-8, {}, 1, 1E8 );
+  testApproximate( 1E-12, { maxDenominator: 1E9 }, 0, 1 );
+  testApproximate( 1E-12, { tolerance: 1E-13 }, 1, 909090909091 );
+  const nearOne = Fraction.approximate( 1 + 1E-9, { maxDenominator: 1E9 } );
+  assert.ok( nearOne.denominator <= 1E9 && Math.abs( nearOne.getValue() - ( 1 + 1E-9 ) ) < 1E-15,
+    `approximate 1 + 1E-9 with maxDenominator 1E9, got ${nearOne}` );
+} );
+
+QUnit.test( 'comparison', assert => {
+  assert.ok( new Fraction( 2, 4 ).valueEquals( new Fraction( 1, 2 ) ), 'valueEquals unreduced' );
+  assert.ok( new Fraction( -2, 4 ).valueEquals( new Fraction( 1, -2 ) ), 'valueEquals signs' );
+  assert.ok( new Fraction( 0, 4 ).valueEquals( new Fraction( 0, -1 ) ), 'valueEquals zero' );
+  assert.ok( !new Fraction( 2, 4 ).valueEquals( new Fraction( 2, 3 ) ), 'valueEquals false' );
+  assert.ok( !new Fraction( 2, 4 ).equals( new Fraction( 1, 2 ) ), 'equals is structural' );
+
+  assert.equal( new Fraction( 1, 3 ).compareTo( new Fraction( 1, 2 ) ), -1, 'compareTo less' );
+  assert.equal( new Fraction( 3, 6 ).compareTo( new Fraction( 1, 2 ) ), 0, 'compareTo equal' );
+  assert.equal( new Fraction( 1, -3 ).compareTo( new Fraction( -1, 2 ) ), 1, 'compareTo greater' );
+
+  // exact where floating-point is not: these values differ by less than the precision of a double
+  const a = new Fraction( Number.MAX_SAFE_INTEGER - 1, Number.MAX_SAFE_INTEGER );
+  const b = new Fraction( Number.MAX_SAFE_INTEGER - 2, Number.MAX_SAFE_INTEGER );
+  assert.equal( b.compareTo( a ), -1, 'compareTo exact' );
+
+  assert.ok( new Fraction( 1, 3 ).isLessThanOrEqualTo( new Fraction( 1, 2 ) ), 'isLessThanOrEqualTo less' );
+  assert.ok( new Fraction( 2, 4 ).isLessThanOrEqualTo( new Fraction( 1, 2 ) ), 'isLessThanOrEqualTo equal' );
+  assert.ok( !new Fraction( 2, 3 ).isLessThanOrEqualTo( new Fraction( 1, 2 ) ), 'isLessThanOrEqualTo greater' );
+  assert.ok( new Fraction( 2, 3 ).isGreaterThan( new Fraction( 1, 2 ) ), 'isGreaterThan' );
+  assert.ok( !new Fraction( 2, 4 ).isGreaterThan( new Fraction( 1, 2 ) ), 'isGreaterThan equal' );
+  assert.ok( new Fraction( 2, 4 ).isGreaterThanOrEqualTo( new Fraction( 1, 2 ) ), 'isGreaterThanOrEqualTo equal' );
+  assert.ok( !new Fraction( -2, 3 ).isGreaterThanOrEqualTo( new Fraction( 1, 2 ) ), 'isGreaterThanOrEqualTo less' );
+
+  const sorted = [ new Fraction( 3, 4 ), new Fraction( -1, 2 ), new Fraction( 1, 3 ), new Fraction( 2, -3 ), new Fraction( 0, 1 ) ]
+    .sort( Fraction.compare )
+    .map( fraction => fraction.toString() );
+  assert.deepEqual( sorted, [ '2/-3', '-1/2', '0/1', '1/3', '3/4' ], 'sort with Fraction.compare' );
+
+  const half = new Fraction( 1, 2 );
+  const third = new Fraction( 1, 3 );
+  const twoQuarters = new Fraction( 2, 4 );
+  assert.equal( Fraction.min( half, third, twoQuarters ), third, 'min' );
+  assert.equal( Fraction.max( half, third, twoQuarters ), half, 'max returns first of equal values' );
+  assert.equal( Fraction.min( half ), half, 'min of 1' );
+
+  const quarter = new Fraction( 1, 4 );
+  const threeQuarters = new Fraction( 3, 4 );
+  assert.equal( Fraction.clamp( half, quarter, threeQuarters ), half, 'clamp in range' );
+  assert.equal( Fraction.clamp( new Fraction( 1, 8 ), quarter, threeQuarters ), quarter, 'clamp below' );
+  assert.equal( Fraction.clamp( new Fraction( 7, 8 ), quarter, threeQuarters ), threeQuarters, 'clamp above' );
+  window.assert && assert.throws( () => Fraction.clamp( half, threeQuarters, quarter ), 'clamp with min > max' );
+} );
+
+QUnit.test( 'freeze', assert => {
+  const fraction = new Fraction( 2, 4 );
+  assert.ok( !fraction.isFrozen(), 'not frozen by default' );
+  assert.equal( fraction.freeze(), fraction, 'chaining' );
+  assert.ok( fraction.isFrozen(), 'frozen' );
+
+  // operations that return new instances are OK, and the results are mutable
+  assert.ok( fraction.plus( Fraction.ONE ).equals( new Fraction( 6, 4 ) ), 'plus' );
+  assert.ok( fraction.times( fraction ).equals( new Fraction( 4, 16 ) ), 'times' );
+  assert.ok( fraction.reduced().equals( new Fraction( 1, 2 ) ), 'reduced' );
+  assert.ok( !fraction.copy().isFrozen(), 'copy is not frozen' );
+  assert.ok( fraction.copy().add( Fraction.ONE ).equals( new Fraction( 6, 4 ) ), 'copy is mutable' );
+  assert.ok( fraction.isLessThan( Fraction.ONE ), 'comparison' );
+  assert.ok( fraction.equals( new Fraction( 2, 4 ) ), 'not mutated' );
+
+  // frozen constants, and the existing constants are still mutable
+  assert.ok( Fraction.FROZEN_ZERO.isFrozen() && Fraction.FROZEN_ZERO.equals( new Fraction( 0, 1 ) ), 'FROZEN_ZERO' );
+  assert.ok( Fraction.FROZEN_ONE.isFrozen() && Fraction.FROZEN_ONE.equals( new Fraction( 1, 1 ) ), 'FROZEN_ONE' );
+  assert.ok( !Fraction.ZERO.isFrozen(), 'ZERO is not frozen' );
+  assert.ok( !Fraction.ONE.isFrozen(), 'ONE is not frozen' );
+
+  // mutators fail, with assertions or TypeError in strict mode
+  assert.throws( () => fraction.add( Fraction.ONE ), 'add' );
+  assert.throws( () => fraction.subtract( Fraction.ONE ), 'subtract' );
+  assert.throws( () => fraction.multiply( Fraction.ONE ), 'multiply' );
+  assert.throws( () => fraction.divide( Fraction.ONE ), 'divide' );
+  assert.throws( () => fraction.reduce(), 'reduce' );
+  assert.throws( () => fraction.set( Fraction.ZERO ), 'set' );
+  assert.throws( () => { fraction.numerator = 1; }, 'numerator' );
+  assert.throws( () => { fraction.denominator = 1; }, 'denominator' );
+  assert.throws( () => Fraction.FROZEN_ONE.add( Fraction.ONE ), 'Fraction.FROZEN_ONE.add' );
+  assert.ok( Fraction.FROZEN_ONE.equals( new Fraction( 1, 1 ) ), 'Fraction.FROZEN_ONE not mutated' );
+  assert.ok( fraction.equals( new Fraction( 2, 4 ) ), 'not mutated' );
+} );
+
+QUnit.test( 'FractionIO', assert => {
+
+  const testRoundTrip = fraction => {
+    const stateObject = Fraction.FractionIO.toStateObject( fraction );
+    assert.deepEqual( stateObject, { numerator: fraction.numerator, denominator: fraction.denominator },
+      `toStateObject ${fraction}` );
+    const roundTrip = Fraction.FractionIO.fromStateObject( stateObject );
+    assert.ok( roundTrip instanceof Fraction, `fromStateObject type ${fraction}` );
+    assert.ok( roundTrip.equals( fraction ), `round trip ${fraction}` );
+  };
+
+  testRoundTrip( new Fraction( 1, 2 ) );
+  testRoundTrip( new Fraction( -3, 4 ) );
+  testRoundTrip( new Fraction( 3, -4 ) );
+  testRoundTrip( new Fraction( -6, -8 ) );
+  testRoundTrip( new Fraction( 6, 8 ) );
+  testRoundTrip( new Fraction( 0, 5 ) );
+  testRoundTrip( Fraction.ONE );
+
+  assert.throws( () => Fraction.fromStateObject( { numerator: 1, denominator: 0 } ), 'zero denominator' );
+  assert.throws( () => Fraction.fromStateObject( { numerator: 1.5, denominator: 2 } ), 'non-integer numerator' );
+  assert.throws( () => Fraction.fromStateObject( { numerator: 1, denominator: 2.5 } ), 'non-integer denominator' );
+  assert.throws( () => Fraction.fromStateObject( { numerator: '1', denominator: 2 } ), 'string numerator' );
+  assert.throws( () => Fraction.FractionIO.fromStateObject( { numerator: 1.5, denominator: 0 } ), 'FractionIO' );
+} );
+
+QUnit.test( 'formatting', assert => {
+
+  // mixed-number text
+  assert.equal( new Fraction( 11, 4 ).toMixedNumberString(), '2 3/4', 'toMixedNumberString' );
+  assert.equal( new Fraction( -11, 4 ).toMixedNumberString(), '-2 3/4', 'toMixedNumberString negative' );
+  assert.equal( new Fraction( 3, -4 ).toMixedNumberString(), '-3/4', 'toMixedNumberString proper' );
+  assert.equal( new Fraction( 8, 4 ).toMixedNumberString(), '2', 'toMixedNumberString integer' );
+  assert.equal( new Fraction( 11, 4 ).toMixedNumberString( { unicode: true } ), '2 ¾', 'toMixedNumberString unicode' );
+
+  // Unicode
+  assert.equal( new Fraction( 1, 2 ).toUnicodeString(), '½', 'vulgar 1/2' );
+  assert.equal( new Fraction( 3, 4 ).toUnicodeString(), '¾', 'vulgar 3/4' );
+  assert.equal( new Fraction( -3, 4 ).toUnicodeString(), '−¾', 'vulgar negative' );
+  assert.equal( new Fraction( 2, 4 ).toUnicodeString(), '²⁄₄', 'not reduced' );
+  assert.equal( new Fraction( 11, 12 ).toUnicodeString(), '¹¹⁄₁₂', 'superscript/subscript' );
+  assert.equal( new Fraction( 11, 4 ).toUnicodeString( { mixed: true } ), '2¾', 'unicode mixed' );
+
+  // LaTeX
+  assert.equal( new Fraction( 3, 4 ).toLaTeX(), '\\frac{3}{4}', 'LaTeX' );
+  assert.equal( new Fraction( 3, -4 ).toLaTeX(), '-\\frac{3}{4}', 'LaTeX negative' );
+  assert.equal( new Fraction( -11, 4 ).toLaTeX( { mixed: true } ), '-2\\frac{3}{4}', 'LaTeX mixed' );
+
+  // MathML
+  assert.equal( new Fraction( 3, 4 ).toMathML(), '<mfrac><mn>3</mn><mn>4</mn></mfrac>', 'MathML' );
+  assert.equal( new Fraction( -3, 4 ).toMathML(), '<mrow><mo>&#x2212;</mo><mfrac><mn>3</mn><mn>4</mn></mfrac></mrow>',
+    'MathML negative' );
+  assert.equal( new Fraction( 11, 4 ).toMathML( { mixed: true } ),
+    '<mrow><mn>2</mn><mfrac><mn>3</mn><mn>4</mn></mfrac></mrow>', 'MathML mixed' );
+  assert.equal( new Fraction( 8, 4 ).toMathML( { mixed: true } ), '<mn>2</mn>', 'MathML mixed integer' );
+
+  // spoken
+  assert.equal( new Fraction( 3, 4 ).toSpokenString(), 'three fourths', 'spoken' );
+  assert.equal( new Fraction( 1, 2 ).toSpokenString(), 'one half', 'spoken singular' );
+  assert.equal( new Fraction( 3, 2 ).toSpokenString(), 'three halves', 'spoken halves' );
+  assert.equal( new Fraction( -1, 3 ).toSpokenString(), 'negative one third', 'spoken negative' );
+  assert.equal( new Fraction( 21, 100 ).toSpokenString(), 'twenty-one over 100', 'spoken over' );
+  assert.equal( new Fraction( -7, 3 ).toSpokenString( { mixed: true } ), 'negative two and one third', 'spoken mixed' );
+  assert.equal( new Fraction( 4, 1 ).toSpokenString(), 'four wholes', 'spoken wholes' );
+
+  // localized spoken
+  assert.equal( new Fraction( 3, 4 ).toSpokenString( {
+    fractionPattern: '{{numerator}} {{denominator}}',
+    negativePattern: 'moins {{value}}',
+    getNumberString: number => [ 'zéro', 'un', 'deux', 'trois' ][ number ],
+    getDenominatorString: ( denominator, plural ) => ( denominator === 4 ) ? ( plural ? 'quarts' : 'quart' ) : null
+  } ), 'trois quarts', 'spoken localized' );
+} );
+
+QUnit.test( 'negate, reciprocal, pow', assert => {
+  assert.ok( new Fraction( 3, 4 ).negated().equals( new Fraction( -3, 4 ) ), 'negated' );
+  assert.ok( new Fraction( 3, -4 ).negated().equals( new Fraction( -3, -4 ) ), 'negated negative denominator' );
+  assert.ok( new Fraction( 3, 4 ).reciprocal().equals( new Fraction( 4, 3 ) ), 'reciprocal' );
+  assert.ok( new Fraction( -3, 4 ).reciprocal().equals( new Fraction( 4, -3 ) ), 'reciprocal negative' );
+  assert.ok( new Fraction( 2, 3 ).pow( 3 ).equals( new Fraction( 8, 27 ) ), 'pow' );
+  assert.ok( new Fraction( -2, 3 ).pow( 3 ).equals( new Fraction( -8, 27 ) ), 'pow negative base' );
+  assert.ok( new Fraction( 2, 3 ).pow( -2 ).equals( new Fraction( 9, 4 ) ), 'pow negative exponent' );
+  assert.ok( new Fraction( 2, 3 ).pow( 0 ).equals( new Fraction( 1, 1 ) ), 'pow 0' );
+  assert.ok( new Fraction( 0, 3 ).pow( 2 ).equals( new Fraction( 0, 9 ) ), 'pow of zero' );
+
+  const fraction = new Fraction( 2, 3 );
+  assert.equal( fraction.negate(), fraction, 'negate chaining' );
+  assert.equal( fraction.invert(), fraction, 'invert chaining' );
+  assert.equal( fraction.raise( 2 ), fraction, 'raise chaining' );
+  assert.ok( fraction.equals( new Fraction( 9, 4 ) ), 'mutated' );
+
+  if ( window.assert ) {
+    assert.throws( () => new Fraction( 0, 3 ).reciprocal(), 'reciprocal of zero' );
+    assert.throws( () => new Fraction( 0, 3 ).pow( -1 ), 'negative power of zero' );
+    assert.throws( () => new Fraction( 1, 3 ).pow( 0.5 ), 'non-integer exponent' );
+  }
+} );
+
+QUnit.test( 'floor, ceil, round, truncate', assert => {
+
+  const test = ( fraction, denominator, floored, ceiled, rounded, truncated ) => {
+    const toString = f => f.toString();
+    assert.equal( toString( fraction.floored( denominator ) ), floored, `${fraction} floored ${denominator}` );
+    assert.equal( toString( fraction.ceiled( denominator ) ), ceiled, `${fraction} ceiled ${denominator}` );
+    assert.equal( toString( fraction.rounded( denominator ) ), rounded, `${fraction} rounded ${denominator}` );
+    assert.equal( toString( fraction.truncated( denominator ) ), truncated, `${fraction} truncated ${denominator}` );
+  };
+
+  test( new Fraction( 7, 5 ), 1, '1/1', '2/1', '1/1', '1/1' );
+  test( new Fraction( -7, 5 ), 1, '-2/1', '-1/1', '-1/1', '-1/1' );
+  test( new Fraction( 7, -5 ), 1, '-2/1', '-1/1', '-1/1', '-1/1' );
+  test( new Fraction( 3, 2 ), 1, '1/1', '2/1', '2/1', '1/1' );
+  test( new Fraction( -3, 2 ), 1, '-2/1', '-1/1', '-2/1', '-1/1' );
+  test( new Fraction( 6, 3 ), 1, '2/1', '2/1', '2/1', '2/1' );
+  test( new Fraction( 7, 5 ), 4, '5/4', '6/4', '6/4', '5/4' );
+  test( new Fraction( -7, 5 ), 4, '-6/4', '-5/4', '-6/4', '-5/4' );
+  test( new Fraction( 3, 8 ), 4, '1/4', '2/4', '2/4', '1/4' );
+  test( new Fraction( 0, 8 ), 4, '0/4', '0/4', '0/4', '0/4' );
+
+  const fraction = new Fraction( 7, 5 );
+  fraction.floored( 4 );
+  assert.ok( fraction.equals( new Fraction( 7, 5 ) ), 'floored does not mutate' );
+  assert.equal( fraction.floor( 4 ), fraction, 'floor chaining' );
+  assert.ok( fraction.equals( new Fraction( 5, 4 ) ), 'floor mutates' );
+  window.assert && assert.throws( () => new Fraction( 1, 0 ).floor(), 'zero denominator' );
+  window.assert && assert.throws( () => new Fraction( 1, 2 ).floor( 0 ), 'invalid denominator' );
+
+  assert.equal( Fraction.floorDivide( 7, 2 ), 3, 'floorDivide' );
+  assert.equal( Fraction.floorDivide( -7, 2 ), -4, 'floorDivide negative' );
+  assert.equal( Fraction.floorDivide( 7, -2 ), -4, 'floorDivide negative divisor' );
+  assert.equal( Fraction.floorDivide( Number.MAX_SAFE_INTEGER - 1, Number.MAX_SAFE_INTEGER ), 0,
+    'floorDivide exact when the quotient rounds to an integer' );
+} );
+
+QUnit.test( 'remainder, modulo', assert => {
+
+  const test = ( fraction, divisor, remainder, modulo ) => {
+    assert.ok( fraction.remainder( divisor ).valueEquals( remainder ), `${fraction} rem ${divisor} = ${remainder}` );
+    assert.ok( fraction.modulo( divisor ).valueEquals( modulo ), `${fraction} mod ${divisor} = ${modulo}` );
+  };
+
+  test( new Fraction( 7, 2 ), Fraction.ONE, new Fraction( 1, 2 ), new Fraction( 1, 2 ) );
+  test( new Fraction( -7, 2 ), Fraction.ONE, new Fraction( -1, 2 ), new Fraction( 1, 2 ) );
+  test( new Fraction( 7, 2 ), new Fraction( -1, 1 ), new Fraction( 1, 2 ), new Fraction( -1, 2 ) );
+  test( new Fraction( 7, 3 ), new Fraction( 1, 2 ), new Fraction( 1, 3 ), new Fraction( 1, 3 ) );
+  test( new Fraction( -7, 3 ), new Fraction( 1, 2 ), new Fraction( -1, 3 ), new Fraction( 1, 6 ) );
+  test( new Fraction( 3, 4 ), new Fraction( 1, 4 ), Fraction.ZERO, Fraction.ZERO );
+  test( new Fraction( 1, 4 ), new Fraction( 3, 4 ), new Fraction( 1, 4 ), new Fraction( 1, 4 ) );
+
+  window.assert && assert.throws( () => new Fraction( 1, 2 ).modulo( Fraction.ZERO ), 'modulo zero' );
+  window.assert && assert.throws( () => new Fraction( 1, 2 ).remainder( Fraction.ZERO ), 'remainder zero' );
+} );
+
+QUnit.test( 'collections', assert => {
+  const fractions = [ new Fraction( 1, 4 ), new Fraction( 2, 4 ), new Fraction( 1, -6 ) ];
+
+  assert.ok( Fraction.sum( fractions ).equals( new Fraction( 7, 12 ) ), 'sum' );
+  assert.ok( Fraction.sum( [] ).equals( new Fraction( 0, 1 ) ), 'sum of none' );
+  assert.ok( Fraction.product( fractions ).valueEquals( new Fraction( -1, 48 ) ), 'product' );
+  assert.ok( Fraction.product( [] ).equals( new Fraction( 1, 1 ) ), 'product of none' );
+  assert.ok( Fraction.mean( fractions ).equals( new Fraction( 7, 36 ) ), 'mean' );
+  assert.equal( Fraction.leastCommonDenominator( fractions ), 12, 'leastCommonDenominator' );
+  assert.equal( Fraction.leastCommonDenominator( [] ), 1, 'leastCommonDenominator of none' );
+  assert.deepEqual( Fraction.toCommonDenominator( fractions ).map( fraction => fraction.toString() ),
+    [ '3/12', '6/12', '-2/12' ], 'toCommonDenominator' );
+  assert.deepEqual( Fraction.sort( fractions ).map( fraction => fraction.toString() ),
+    [ '1/-6', '1/4', '2/4' ], 'sort' );
+  assert.ok( fractions[ 0 ].equals( new Fraction( 1, 4 ) ), 'sort does not modify the array' );
+
+  // stays exact where floating-point would not
+  const thirds = _.times( 30, () => new Fraction( 1, 3 ) );
+  assert.ok( Fraction.sum( thirds ).equals( new Fraction( 10, 1 ) ), 'exact sum' );
+  assert.ok( Fraction.mean( thirds ).equals( new Fraction( 1, 3 ) ), 'exact mean' );
+
+  // unreduced fractions, whose denominators don't divide the least common denominator
+  assert.deepEqual( Fraction.toCommonDenominator( [ new Fraction( 49, 147 ), new Fraction( 1, 3 ) ] )
+    .map( fraction => fraction.toString() ), [ '1/3', '1/3' ], 'toCommonDenominator unreduced' );
+  assert.deepEqual( Fraction.toCommonDenominator( [ new Fraction( 6, -8 ), new Fraction( 5, 6 ) ] )
+    .map( fraction => fraction.toString() ), [ '-9/12', '10/12' ], 'toCommonDenominator unreduced negative' );
+
+  // overflow is reported, even when assertions are disabled
+  const primes = [ 2, 3, 5, 7, 11, 13, 17, 19, 23, 29, 31, 37, 41, 43, 47, 53 ].map( p => new Fraction( 1, p ) );
+  assert.throws( () => Fraction.sum( primes ), 'sum overflow' );
+  assert.throws( () => Fraction.leastCommonDenominator( primes ), 'leastCommonDenominator overflow' );
+  assert.throws( () => Fraction.toCommonDenominator( primes ), 'toCommonDenominator overflow' );
+  assert.throws( () => Fraction.product( _.times( 40, () => new Fraction( 1, 3 ) ) ), 'product overflow' );
+} );
+
+QUnit.test( 'equivalence', assert => {
+  assert.ok( new Fraction( 6, 8 ).getScaleFactor( new Fraction( 3, 4 ) ).equals( new Fraction( 2, 1 ) ), 'scale 2' );
+  assert.ok( new Fraction( 3, 4 ).getScaleFactor( new Fraction( 6, 8 ) ).equals( new Fraction( 1, 2 ) ), 'scale 1/2' );
+  assert.ok( new Fraction( 2, 4 ).getScaleFactor( new Fraction( 3, 6 ) ).equals( new Fraction( 2, 3 ) ), 'scale 2/3' );
+  assert.ok( new Fraction( -3, 4 ).getScaleFactor( new Fraction( 3, -4 ) ).equals( new Fraction( -1, 1 ) ), 'scale -1' );
+  assert.ok( new Fraction( 0, 4 ).getScaleFactor( new Fraction( 0, 2 ) ).equals( new Fraction( 2, 1 ) ), 'scale zero' );
+  assert.equal( new Fraction( 3, 4 ).getScaleFactor( new Fraction( 2, 3 ) ), null, 'not equivalent' );
+
+  assert.ok( new Fraction( 6, 8 ).isScaledVersionOf( new Fraction( 3, 4 ) ), 'isScaledVersionOf' );
+  assert.ok( new Fraction( 6, 8 ).isScaledVersionOf( new Fraction( 6, 8 ) ), 'isScaledVersionOf itself' );
+  assert.ok( !new Fraction( 3, 4 ).isScaledVersionOf( new Fraction( 6, 8 ) ), 'isScaledVersionOf smaller' );
+  assert.ok( !new Fraction( 6, 8 ).isScaledVersionOf( new Fraction( 9, 12 ) ), 'isScaledVersionOf non-integer factor' );
+  assert.ok( !new Fraction( 6, 8 ).isScaledVersionOf( new Fraction( 2, 3 ) ), 'isScaledVersionOf different value' );
+
+  const toStrings = fractions => fractions.map( fraction => fraction.toString() );
+  assert.deepEqual( toStrings( new Fraction( 6, 8 ).getEquivalentFractions( { maxDenominator: 16 } ) ),
+    [ '3/4', '6/8', '9/12', '12/16' ], 'maxDenominator' );
+  assert.deepEqual( toStrings( new Fraction( 2, -3 ).getEquivalentFractions( { maxNumerator: 6 } ) ),
+    [ '-2/3', '-4/6', '-6/9' ], 'maxNumerator, negative' );
+  assert.deepEqual( toStrings( new Fraction( 5, 4 ).getEquivalentFractions( { maxNumerator: 10, maxDenominator: 20 } ) ),
+    [ '5/4', '10/8' ], 'both limits' );
+  assert.deepEqual( toStrings( new Fraction( 0, 4 ).getEquivalentFractions( { maxDenominator: 3 } ) ),
+    [ '0/1', '0/2', '0/3' ], 'zero' );
+  assert.deepEqual( new Fraction( 3, 4 ).getEquivalentFractions( { maxDenominator: 3 } ), [], 'none' );
+  assert.throws( () => new Fraction( 1, 2 ).getEquivalentFractions(), 'unbounded' );
+  assert.throws( () => new Fraction( 0, 2 ).getEquivalentFractions( { maxNumerator: 10 } ), 'unbounded zero' );
+} );
+
+QUnit.test( 'decimal and percent strings', assert => {
+  assert.equal( new Fraction( 1, 3 ).toDecimalString( 2 ), '0.33', '1/3' );
+  assert.equal( new Fraction( 2, 3 ).toDecimalString( 2 ), '0.67', '2/3' );
+  assert.equal( new Fraction( 1, 3 ).toDecimalString( 20 ).length, 22, 'more places than a float' );
+  assert.equal( new Fraction( 5, 2 ).toDecimalString( 0 ), '3', 'tie away from zero' );
+  assert.equal( new Fraction( -5, 2 ).toDecimalString( 0 ), '-3', 'negative tie away from zero' );
+  assert.equal( new Fraction( 5, 2 ).toDecimalString( 0, { rounding: 'halfEven' } ), '2', 'halfEven down' );
+  assert.equal( new Fraction( 7, 2 ).toDecimalString( 0, { rounding: 'halfEven' } ), '4', 'halfEven up' );
+  assert.equal( new Fraction( 1, 8 ).toDecimalString( 2, { rounding: 'halfEven' } ), '0.12', 'halfEven 0.125' );
+  assert.equal( new Fraction( 2, 3 ).toDecimalString( 2, { rounding: 'floor' } ), '0.66', 'floor' );
+  assert.equal( new Fraction( -2, 3 ).toDecimalString( 2, { rounding: 'floor' } ), '-0.67', 'floor negative' );
+  assert.equal( new Fraction( 1, 3 ).toDecimalString( 2, { rounding: 'ceil' } ), '0.34', 'ceil' );
+  assert.equal( new Fraction( -2, 3 ).toDecimalString( 2, { rounding: 'truncate' } ), '-0.66', 'truncate' );
+  assert.equal( new Fraction( 3, -40 ).toDecimalString( 3 ), '-0.075', 'negative denominator' );
+  assert.equal( new Fraction( 7, 1 ).toDecimalString( 2 ), '7.00', 'integer' );
+  assert.equal( new Fraction( -1, 1000 ).toDecimalString( 2 ), '0.00', 'rounds to zero' );
+  window.assert && assert.throws( () => new Fraction( 1, 3 ).toDecimalString( 2, { rounding: 'up' } ),
+    'invalid rounding' );
+
+  assert.deepEqual( new Fraction( 1, 6 ).getDecimalExpansion(),
+    { sign: 1, integerPart: 0, nonRepeatingDigits: '1', repeatingDigits: '6' }, 'getDecimalExpansion' );
+  assert.equal( new Fraction( 1, 7 ).toRepeatingDecimalString(), '0.(142857)', '1/7' );
+  assert.equal( new Fraction( 1, 3 ).toRepeatingDecimalString(), '0.(3)', '1/3' );
+  assert.equal( new Fraction( -7, 6 ).toRepeatingDecimalString(), '-1.1(6)', '-7/6' );
+  assert.equal( new Fraction( 3, 4 ).toRepeatingDecimalString(), '0.75', 'terminating' );
+  assert.equal( new Fraction( 8, -4 ).toRepeatingDecimalString(), '-2', 'integer' );
+  assert.equal( new Fraction( 1, 97 ).getDecimalExpansion().repeatingDigits.length, 96, 'long cycle' );
+  assert.throws( () => new Fraction( 1, 97 ).getDecimalExpansion( 50 ), 'maxDigits' );
+  assert.equal( new Fraction( 1, 97 ).getDecimalExpansion( 96 ).repeatingDigits.length, 96, 'exactly maxDigits' );
+  assert.throws( () => new Fraction( 1, 1E15 + 1 ).getDecimalExpansion(), 'denominator too large' );
+  assert.throws( () => new Fraction( 1, 1E15 + 1 ).toDecimalString( 2 ), 'denominator too large for toDecimalString' );
+  [ new Fraction( 1, 7 ), new Fraction( -7, 6 ), new Fraction( 22, 7 ), new Fraction( 3, 4 ) ].forEach( fraction => {
+    assert.ok( Fraction.parse( fraction.toRepeatingDecimalString() ).valueEquals( fraction ), `parse ${fraction}` );
+  } );
+
+  assert.ok( new Fraction( 3, 40 ).isTerminatingDecimal(), '3/40 terminates' );
+  assert.ok( new Fraction( 3, 6 ).isTerminatingDecimal(), '3/6 terminates' );
+  assert.ok( !new Fraction( 1, 12 ).isTerminatingDecimal(), '1/12 repeats' );
+
+  assert.equal( new Fraction( 3, 4 ).toPercentString(), '75%', '75%' );
+  assert.equal( new Fraction( 3, 8 ).toPercentString( 1 ), '37.5%', '37.5%' );
+  assert.equal( new Fraction( 1, 3 ).toPercentString(), '33%', '33%' );
+  assert.equal( new Fraction( 2, 3 ).toPercentString( 0, { rounding: 'floor' } ), '66%', 'floor' );
+  assert.equal( new Fraction( 1, 3 ).toPercentString( null ), '33.(3)%', 'exact' );
+  assert.ok( Fraction.parse( new Fraction( 1, 3 ).toPercentString( null ) ).equals( new Fraction( 1, 3 ) ), 'parse' );
+} );
+
+QUnit.test( 'ported from Java', assert => {
+  assert.ok( new Fraction( 3, 4 ).isProper(), '3/4 is proper' );
+  assert.ok( new Fraction( -3, 4 ).isProper(), '-3/4 is proper' );
+  assert.ok( new Fraction( 0, 4 ).isProper(), '0/4 is proper' );
+  assert.ok( new Fraction( 4, 4 ).isImproper(), '4/4 is improper' );
+  assert.ok( new Fraction( 5, -4 ).isImproper(), '5/-4 is improper' );
+  assert.ok( !new Fraction( 3, 4 ).isImproper(), '3/4 is not improper' );
+
+  assert.ok( new Fraction( 1, 4 ).isUnitFraction(), '1/4 is a unit fraction' );
+  assert.ok( new Fraction( 2, 8 ).isUnitFraction(), '2/8 is a unit fraction' );
+  assert.ok( new Fraction( -1, -3 ).isUnitFraction(), '-1/-3 is a unit fraction' );
+  assert.ok( !new Fraction( -1, 3 ).isUnitFraction(), '-1/3 is not a unit fraction' );
+  assert.ok( !new Fraction( 2, 3 ).isUnitFraction(), '2/3 is not a unit fraction' );
+
+  assert.ok( new Fraction( 3, 4 ).doubled().equals( new Fraction( 6, 4 ) ), 'doubled' );
+  assert.ok( new Fraction( 2, 4 ).halved().equals( new Fraction( 2, 8 ) ), 'halved' );
+  const fraction = new Fraction( 1, 3 );
+  fraction.doubled();
+  fraction.halved();
+  assert.ok( fraction.equals( new Fraction( 1, 3 ) ), 'doubled and halved do not mutate' );
+
+  assert.ok( new Fraction( 1, 3 ).approxEquals( Fraction.fromDecimal( 0.3333333 ) ), 'approxEquals' );
+  assert.ok( !new Fraction( 1, 3 ).approxEquals( Fraction.fromDecimal( 0.333 ) ), 'not approxEquals' );
+  assert.ok( new Fraction( 1, 3 ).approxEquals( Fraction.fromDecimal( 0.333 ), 0.001 ), 'approxEquals tolerance' );
+
+  assert.equal( new Fraction( 1, 2 ).hashCode(), new Fraction( 1, 2 ).hashCode(), 'equal fractions' );
+  assert.equal( new Fraction( 1, 2 ).hashCode(), 3542, 'same as Java' );
+  assert.equal( new Fraction( -3, 4 ).hashCode(), 3308, 'negative' );
+  assert.notEqual( new Fraction( 1, 2 ).hashCode(), new Fraction( 2, 1 ).hashCode(), 'different fractions' );
+  assert.ok( Number.isInteger( new Fraction( Number.MAX_SAFE_INTEGER, 3 ).hashCode() ), 'large numerator' );
+} );
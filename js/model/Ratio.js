@@ -0,0 +1,231 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * A part-to-part ratio of 2 or more non-negative integer terms, e.g. 3:4 or 1:2:3. Unlike Fraction, a ratio can have
+ * more than 2 terms, is scaled without being reduced (3:4 scaled by 2 is 6:8), and ratios are compared by
+ * proportionality (3:4 is equivalent to 6:8). Use toFraction and fromFraction to convert 2-term ratios to and from
+ * Fraction, and getPartToWhole to get the part-to-whole Fraction for one of the terms.
+ */
+
+import Utils from '../../../dot/js/Utils.js';
+import ArrayIO from '../../../tandem/js/types/ArrayIO.js';
+import IOType from '../../../tandem/js/types/IOType.js';
+import NumberIO from '../../../tandem/js/types/NumberIO.js';
+import phetcommon from '../phetcommon.js';
+import Fraction from './Fraction.js';
+
+class Ratio {
+
+  /**
+   * @param {...number} terms - at least 2 non-negative integers, not all zero
+   */
+  constructor( ...terms ) {
+    assert && assert( terms.length >= 2, `a ratio must have at least 2 terms: ${terms}` );
+    assert && assert( _.every( terms, term => Number.isInteger( term ) && term >= 0 ),
+      `terms must be non-negative integers: ${terms}` );
+    assert && assert( _.some( terms, term => term !== 0 ), 'terms must not all be zero' );
+
+    // @private {number[]} use getTerms so that the terms can't be modified
+    this._terms = terms;
+  }
+
+  /**
+   * Gets the terms of this ratio.
+   * @returns {number[]} - a copy
+   * @public
+   */
+  getTerms() {
+    return this._terms.slice();
+  }
+
+  get terms() { return this.getTerms(); }
+
+  /**
+   * Gets one term of this ratio.
+   * @param {number} index
+   * @returns {number}
+   * @public
+   */
+  getTerm( index ) {
+    assert && assert( index >= 0 && index < this._terms.length, `index out of range: ${index}` );
+    return this._terms[ index ];
+  }
+
+  /**
+   * Gets the number of terms in this ratio.
+   * @returns {number}
+   * @public
+   */
+  getNumberOfTerms() {
+    return this._terms.length;
+  }
+
+  get numberOfTerms() { return this.getNumberOfTerms(); }
+
+  // @public
+  toString() {
+    return this._terms.join( ':' );
+  }
+
+  // @public
+  copy() {
+    return new Ratio( ...this._terms );
+  }
+
+  /**
+   * Returns whether the two ratios have the same terms (not whether they are equivalent, see isEquivalentTo).
+   * @param {Ratio} ratio
+   * @returns {boolean}
+   * @public
+   */
+  equals( ratio ) {
+    assert && assert( ratio instanceof Ratio, `ratio is not a Ratio: ${ratio}` );
+    return _.isEqual( this._terms, ratio._terms );
+  }
+
+  /**
+   * Returns whether the two ratios are proportional, e.g. 3:4 is equivalent to 6:8, and 1:2:3 is equivalent to 2:4:6.
+   * Ratios with different numbers of terms are not equivalent.
+   * @param {Ratio} ratio
+   * @returns {boolean}
+   * @public
+   */
+  isEquivalentTo( ratio ) {
+    assert && assert( ratio instanceof Ratio, `ratio is not a Ratio: ${ratio}` );
+    return this.simplified().equals( ratio.simplified() );
+  }
+
+  /**
+   * Scales all terms of this ratio by a factor (mutates this ratio). The result is not simplified.
+   * @param {number} factor - positive integer
+   * @returns {Ratio} - Reference to this (for chaining)
+   * @public
+   */
+  scale( factor ) {
+    assert && assert( Number.isInteger( factor ) && factor > 0, `factor must be a positive integer: ${factor}` );
+    this._terms = this._terms.map( term => term * factor );
+    return this;
+  }
+
+  /**
+   * Scales all terms of this ratio by a factor to create a new ratio. The result is not simplified.
+   * @param {number} factor - positive integer
+   * @returns {Ratio}
+   * @public
+   */
+  scaled( factor ) {
+    return this.copy().scale( factor );
+  }
+
+  /**
+   * Simplifies this ratio by dividing all terms by their greatest common divisor (mutates this ratio).
+   * @returns {Ratio} - Reference to this (for chaining)
+   * @public
+   */
+  simplify() {
+    const gcd = this._terms.reduce( ( a, b ) => Utils.gcd( a, b ) );
+    this._terms = this._terms.map( term => term / gcd );
+    return this;
+  }
+
+  /**
+   * Creates a simplified instance of this ratio.
+   * @returns {Ratio}
+   * @public
+   */
+  simplified() {
+    return this.copy().simplify();
+  }
+
+  /**
+   * Is this ratio simplified?
+   * @returns {boolean}
+   * @public
+   */
+  isSimplified() {
+    return this._terms.reduce( ( a, b ) => Utils.gcd( a, b ) ) === 1;
+  }
+
+  /**
+   * Gets the part-to-whole fraction for one term, e.g. for 1:2:3, the part-to-whole fraction for term 1 is 2/6.
+   * @param {number} index
+   * @returns {Fraction} - not reduced
+   * @public
+   */
+  getPartToWhole( index ) {
+    return new Fraction( this.getTerm( index ), _.sum( this._terms ) );
+  }
+
+  /**
+   * Converts a 2-term ratio a:b to the fraction a/b.
+   * @returns {Fraction} - not reduced
+   * @public
+   */
+  toFraction() {
+    assert && assert( this._terms.length === 2, `only 2-term ratios can be converted to a Fraction: ${this}` );
+    assert && assert( this._terms[ 1 ] !== 0, `second term must be non-zero: ${this}` );
+    return new Fraction( this._terms[ 0 ], this._terms[ 1 ] );
+  }
+
+  /**
+   * Serializes this ratio for PhET-iO.
+   * @returns {{terms: number[]}}
+   * @public
+   */
+  toStateObject() {
+    return {
+      terms: this.getTerms()
+    };
+  }
+
+  /**
+   * Converts a non-negative fraction a/b to the 2-term ratio a:b. The fraction is not reduced, but its sign is
+   * normalized, so -3/-4 is converted to 3:4.
+   * @param {Fraction} fraction - must have a non-negative value and non-zero denominator
+   * @returns {Ratio}
+   * @public
+   * @static
+   */
+  static fromFraction( fraction ) {
+    assert && assert( fraction instanceof Fraction, `fraction is not a Fraction: ${fraction}` );
+    assert && assert( fraction.denominator !== 0, 'denominator must be non-zero' );
+    assert && assert( fraction.sign >= 0, `fraction must be non-negative: ${fraction}` );
+    return new Ratio( Math.abs( fraction.numerator ), Math.abs( fraction.denominator ) );
+  }
+
+  /**
+   * Deserializes a ratio for PhET-iO.
+   * @param {{terms: number[]}} stateObject - at least 2 non-negative integers, not all zero
+   * @returns {Ratio}
+   * @throws {Error} if the state object is invalid, since it may come from outside the sim, e.g. PhET-iO Studio
+   * @public
+   * @static
+   */
+  static fromStateObject( stateObject ) {
+    const terms = stateObject.terms;
+    if ( !Array.isArray( terms ) || terms.length < 2 ) {
+      throw new Error( `a ratio must have at least 2 terms: ${terms}` );
+    }
+    if ( !_.every( terms, term => Number.isInteger( term ) && term >= 0 ) ) {
+      throw new Error( `terms must be non-negative integers: ${terms}` );
+    }
+    if ( !_.some( terms, term => term !== 0 ) ) {
+      throw new Error( 'terms must not all be zero' );
+    }
+    return new Ratio( ...terms );
+  }
+}
+
+Ratio.RatioIO = new IOType( 'RatioIO', {
+  valueType: Ratio,
+  documentation: 'A part-to-part ratio of 2 or more non-negative integer terms, e.g. 3:4. The ratio is not ' +
+                 'necessarily simplified.',
+  stateSchema: {
+    terms: ArrayIO( NumberIO )
+  },
+  toStateObject: ratio => ratio.toStateObject(),
+  fromStateObject: stateObject => Ratio.fromStateObject( stateObject )
+} );
+
+phetcommon.register( 'Ratio', Ratio );
+export default Ratio;
@@ -0,0 +1,79 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * Ratio tests
+ */
+
+import Fraction from './Fraction.js';
+import Ratio from './Ratio.js';
+
+QUnit.module( 'Ratio' );
+
+QUnit.test( 'terms', assert => {
+  const ratio = new Ratio( 1, 2, 3 );
+  assert.equal( ratio.toString(), '1:2:3', 'toString' );
+  assert.deepEqual( ratio.terms, [ 1, 2, 3 ], 'terms' );
+  assert.equal( ratio.numberOfTerms, 3, 'numberOfTerms' );
+  assert.equal( ratio.getTerm( 1 ), 2, 'getTerm' );
+  ratio.terms.push( 4 );
+  assert.equal( ratio.numberOfTerms, 3, 'terms is a copy' );
+  assert.equal( new Ratio( 0, 4 ).toString(), '0:4', 'zero term' );
+
+  if ( window.assert ) {
+    assert.throws( () => new Ratio( 3 ), 'too few terms' );
+    assert.throws( () => new Ratio( 3, -4 ), 'negative term' );
+    assert.throws( () => new Ratio( 1.5, 2 ), 'non-integer term' );
+    assert.throws( () => new Ratio( 0, 0 ), 'all zero' );
+  }
+} );
+
+QUnit.test( 'scale and simplify', assert => {
+  const ratio = new Ratio( 3, 4 );
+  assert.equal( ratio.scaled( 2 ).toString(), '6:8', 'scaled is not simplified' );
+  assert.equal( ratio.toString(), '3:4', 'scaled does not mutate' );
+  assert.equal( ratio.scale( 3 ).toString(), '9:12', 'scale mutates' );
+  assert.ok( !ratio.isSimplified(), 'not simplified' );
+  assert.equal( ratio.simplified().toString(), '3:4', 'simplified' );
+  assert.equal( ratio.toString(), '9:12', 'simplified does not mutate' );
+  assert.equal( ratio.simplify().toString(), '3:4', 'simplify mutates' );
+  assert.ok( ratio.isSimplified(), 'simplified' );
+  assert.equal( new Ratio( 4, 8, 12 ).simplified().toString(), '1:2:3', '3 terms' );
+  assert.equal( new Ratio( 0, 6 ).simplified().toString(), '0:1', 'zero term' );
+  window.assert && assert.throws( () => ratio.scale( 1 / 2 ), 'non-integer factor' );
+} );
+
+QUnit.test( 'equivalence', assert => {
+  assert.ok( new Ratio( 3, 4 ).isEquivalentTo( new Ratio( 6, 8 ) ), '3:4 is equivalent to 6:8' );
+  assert.ok( !new Ratio( 3, 4 ).equals( new Ratio( 6, 8 ) ), '3:4 does not equal 6:8' );
+  assert.ok( new Ratio( 3, 4 ).equals( new Ratio( 3, 4 ) ), 'equals' );
+  assert.ok( new Ratio( 1, 2, 3 ).isEquivalentTo( new Ratio( 2, 4, 6 ) ), '3 terms' );
+  assert.ok( !new Ratio( 3, 4 ).isEquivalentTo( new Ratio( 4, 3 ) ), 'order matters' );
+  assert.ok( !new Ratio( 1, 2 ).isEquivalentTo( new Ratio( 1, 2, 0 ) ), 'different numbers of terms' );
+} );
+
+QUnit.test( 'Fraction conversion', assert => {
+  assert.ok( new Ratio( 6, 8 ).toFraction().equals( new Fraction( 6, 8 ) ), 'toFraction is not reduced' );
+  assert.ok( new Ratio( 1, 2, 3 ).getPartToWhole( 2 ).equals( new Fraction( 3, 6 ) ), 'getPartToWhole' );
+  assert.ok( Ratio.fromFraction( new Fraction( 6, 8 ) ).equals( new Ratio( 6, 8 ) ), 'fromFraction' );
+  assert.ok( Ratio.fromFraction( new Fraction( -3, -4 ) ).equals( new Ratio( 3, 4 ) ), 'fromFraction sign' );
+  if ( window.assert ) {
+    assert.throws( () => new Ratio( 1, 2, 3 ).toFraction(), '3 terms' );
+    assert.throws( () => new Ratio( 1, 0 ).toFraction(), 'zero denominator' );
+    assert.throws( () => Ratio.fromFraction( new Fraction( -3, 4 ) ), 'negative fraction' );
+  }
+} );
+
+QUnit.test( 'RatioIO', assert => {
+  [ new Ratio( 3, 4 ), new Ratio( 6, 8 ), new Ratio( 0, 1, 2 ) ].forEach( ratio => {
+    const stateObject = Ratio.RatioIO.toStateObject( ratio );
+    assert.deepEqual( stateObject, { terms: ratio.terms }, `toStateObject ${ratio}` );
+    const roundTrip = Ratio.RatioIO.fromStateObject( stateObject );
+    assert.ok( roundTrip instanceof Ratio && roundTrip.equals( ratio ), `round trip ${ratio}` );
+  } );
+
+  assert.throws( () => Ratio.fromStateObject( { terms: [ 3 ] } ), 'too few terms' );
+  assert.throws( () => Ratio.fromStateObject( { terms: [ 3, -4 ] } ), 'negative term' );
+  assert.throws( () => Ratio.fromStateObject( { terms: [ 1.5, 2 ] } ), 'non-integer term' );
+  assert.throws( () => Ratio.fromStateObject( { terms: [ 0, 0 ] } ), 'all zero' );
+  assert.throws( () => Ratio.RatioIO.fromStateObject( { terms: '3:4' } ), 'not an array' );
+} );
@@ -0,0 +1,225 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * An exact 2D vector (or point), whose x and y components are Fractions. Use this instead of dot.Vector2 for model
+ * coordinates that must not accumulate floating-point error, e.g. 1/3 of a grid cell, and convert to Vector2 only at
+ * the view boundary, e.g. via toViewPosition.
+ *
+ * The API follows Vector2: mutating methods (add, subtract, multiplyScalar, negate) and non-mutating methods that
+ * create a new vector (plus, minus, timesScalar, negated). The components of the results are reduced, which keeps
+ * their numerators and denominators small.
+ */
+
+import Vector2 from '../../../dot/js/Vector2.js';
+import phetcommon from '../phetcommon.js';
+import Fraction from './Fraction.js';
+
+class RationalVector2 {
+
+  /**
+   * @param {Fraction} x
+   * @param {Fraction} y
+   */
+  constructor( x, y ) {
+
+    // @public (read-only) {Fraction} the components, reduced copies of the arguments
+    this.x = new Fraction( 0, 1 );
+    this.y = new Fraction( 0, 1 );
+
+    this.setXY( x, y );
+  }
+
+  /**
+   * Sets the components of this vector.
+   * @param {Fraction} x
+   * @param {Fraction} y
+   * @returns {RationalVector2} - Reference to this (for chaining)
+   * @public
+   */
+  setXY( x, y ) {
+    assert && assert( x instanceof Fraction && y instanceof Fraction, `x and y must be Fractions: ${x}, ${y}` );
+    this.x.set( x ).reduce();
+    this.y.set( y ).reduce();
+    return this;
+  }
+
+  /**
+   * Sets this vector to the value of another vector.
+   * @param {RationalVector2} vector
+   * @returns {RationalVector2} - Reference to this (for chaining)
+   * @public
+   */
+  set( vector ) {
+    return this.setXY( vector.x, vector.y );
+  }
+
+  // @public
+  copy() {
+    return new RationalVector2( this.x, this.y );
+  }
+
+  // @public
+  toString() {
+    return `(${this.x}, ${this.y})`;
+  }
+
+  /**
+   * Returns whether the two vectors have equal component values.
+   * @param {RationalVector2} vector
+   * @returns {boolean}
+   * @public
+   */
+  equals( vector ) {
+    assert && assert( vector instanceof RationalVector2, `vector is not a RationalVector2: ${vector}` );
+    return this.x.valueEquals( vector.x ) && this.y.valueEquals( vector.y );
+  }
+
+  /**
+   * Adds the provided vector into this vector (mutates this vector).
+   * @param {RationalVector2} vector
+   * @returns {RationalVector2} - Reference to this (for chaining)
+   * @public
+   */
+  add( vector ) {
+    assert && assert( vector instanceof RationalVector2, `vector is not a RationalVector2: ${vector}` );
+    return this.setXY( this.x.add( vector.x ), this.y.add( vector.y ) );
+  }
+
+  /**
+   * Adds a vector to this vector to create a new vector.
+   * @param {RationalVector2} vector
+   * @returns {RationalVector2}
+   * @public
+   */
+  plus( vector ) {
+    return this.copy().add( vector );
+  }
+
+  /**
+   * Subtracts the provided vector from this vector (mutates this vector).
+   * @param {RationalVector2} vector
+   * @returns {RationalVector2} - Reference to this (for chaining)
+   * @public
+   */
+  subtract( vector ) {
+    assert && assert( vector instanceof RationalVector2, `vector is not a RationalVector2: ${vector}` );
+    return this.setXY( this.x.subtract( vector.x ), this.y.subtract( vector.y ) );
+  }
+
+  /**
+   * Subtracts a vector from this vector to create a new vector.
+   * @param {RationalVector2} vector
+   * @returns {RationalVector2}
+   * @public
+   */
+  minus( vector ) {
+    return this.copy().subtract( vector );
+  }
+
+  /**
+   * Multiplies this vector by a scalar (mutates this vector).
+   * @param {Fraction|number} scalar - a Fraction or an integer
+   * @returns {RationalVector2} - Reference to this (for chaining)
+   * @public
+   */
+  multiplyScalar( scalar ) {
+    const factor = toFraction( scalar );
+    return this.setXY( this.x.multiply( factor ), this.y.multiply( factor ) );
+  }
+
+  /**
+   * Multiplies this vector by a scalar to create a new vector.
+   * @param {Fraction|number} scalar - a Fraction or an integer
+   * @returns {RationalVector2}
+   * @public
+   */
+  timesScalar( scalar ) {
+    return this.copy().multiplyScalar( scalar );
+  }
+
+  /**
+   * Negates this vector (mutates this vector).
+   * @returns {RationalVector2} - Reference to this (for chaining)
+   * @public
+   */
+  negate() {
+    return this.setXY( this.x.negate(), this.y.negate() );
+  }
+
+  /**
+   * Creates a new vector that is the negation of this vector.
+   * @returns {RationalVector2}
+   * @public
+   */
+  negated() {
+    return this.copy().negate();
+  }
+
+  /**
+   * Gets the dot product of this vector and another vector.
+   * @param {RationalVector2} vector
+   * @returns {Fraction} - reduced
+   * @public
+   */
+  dot( vector ) {
+    assert && assert( vector instanceof RationalVector2, `vector is not a RationalVector2: ${vector}` );
+    return this.x.times( vector.x ).reduce().add( this.y.times( vector.y ).reduce() ).reduce();
+  }
+
+  /**
+   * Gets the squared magnitude of this vector. The magnitude itself is not necessarily rational.
+   * @returns {Fraction} - reduced
+   * @public
+   */
+  getMagnitudeSquared() {
+    return this.dot( this );
+  }
+
+  get magnitudeSquared() { return this.getMagnitudeSquared(); }
+
+  /**
+   * Converts this vector to a dot.Vector2. This is subject to floating-point error.
+   * @returns {Vector2}
+   * @public
+   */
+  toVector2() {
+    return new Vector2( this.x.getValue(), this.y.getValue() );
+  }
+
+  /**
+   * Converts this model vector to a view position.
+   * @param {ModelViewTransform2} modelViewTransform
+   * @returns {Vector2}
+   * @public
+   */
+  toViewPosition( modelViewTransform ) {
+    return modelViewTransform.modelToViewPosition( this.toVector2() );
+  }
+
+  /**
+   * Converts a dot.Vector2 to a RationalVector2. Each component is converted using Fraction.approximate, so by default
+   * the result is the floating-point value of the component, and options such as maxDenominator can be used to
+   * snap to 'nice' fractions, e.g. 0.3333333 to 1/3.
+   * @param {Vector2} vector
+   * @param {Object} [options] - see Fraction.approximate
+   * @returns {RationalVector2}
+   * @public
+   * @static
+   */
+  static fromVector2( vector, options ) {
+    return new RationalVector2( Fraction.approximate( vector.x, options ), Fraction.approximate( vector.y, options ) );
+  }
+}
+
+/**
+ * Converts a scalar to a Fraction.
+ * @param {Fraction|number} scalar - a Fraction or an integer
+ * @returns {Fraction}
+ */
+function toFraction( scalar ) {
+  assert && assert( scalar instanceof Fraction || Number.isInteger( scalar ), `invalid scalar: ${scalar}` );
+  return ( scalar instanceof Fraction ) ? scalar : Fraction.fromInteger( scalar );
+}
+
+phetcommon.register( 'RationalVector2', RationalVector2 );
+export default RationalVector2;
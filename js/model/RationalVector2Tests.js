@@ -0,0 +1,59 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * RationalVector2 tests
+ */
+
+import Vector2 from '../../../dot/js/Vector2.js';
+import ModelViewTransform2 from '../view/ModelViewTransform2.js';
+import Fraction from './Fraction.js';
+import RationalVector2 from './RationalVector2.js';
+
+QUnit.module( 'RationalVector2' );
+
+const vector = ( x, y ) => new RationalVector2( Fraction.parse( x ), Fraction.parse( y ) );
+
+QUnit.test( 'construction', assert => {
+  const x = new Fraction( 2, 6 );
+  const v = new RationalVector2( x, new Fraction( -3, 4 ) );
+  assert.equal( v.toString(), '(1/3, -3/4)', 'components are reduced' );
+  x.add( Fraction.ONE );
+  assert.equal( v.x.toString(), '1/3', 'components are copies' );
+  assert.ok( v.copy().equals( v ) && v.copy() !== v, 'copy' );
+  assert.ok( vector( '1/2', '1' ).equals( new RationalVector2( new Fraction( 2, 4 ), new Fraction( -3, -3 ) ) ),
+    'equals compares values' );
+  assert.ok( !vector( '1/2', '1' ).equals( vector( '1/2', '2' ) ), 'not equal' );
+} );
+
+QUnit.test( 'arithmetic', assert => {
+  const a = vector( '1/3', '1/2' );
+  const b = vector( '1/6', '-1/4' );
+  assert.ok( a.plus( b ).equals( vector( '1/2', '1/4' ) ), 'plus' );
+  assert.ok( a.minus( b ).equals( vector( '1/6', '3/4' ) ), 'minus' );
+  assert.ok( a.timesScalar( new Fraction( 3, 2 ) ).equals( vector( '1/2', '3/4' ) ), 'timesScalar Fraction' );
+  assert.ok( a.timesScalar( -6 ).equals( vector( '-2', '-3' ) ), 'timesScalar integer' );
+  assert.ok( a.negated().equals( vector( '-1/3', '-1/2' ) ), 'negated' );
+  assert.ok( a.equals( vector( '1/3', '1/2' ) ), 'non-mutating methods do not change a' );
+  assert.ok( a.dot( b ).valueEquals( new Fraction( -5, 72 ) ), 'dot' );
+  assert.ok( vector( '3/5', '4/5' ).magnitudeSquared.equals( Fraction.ONE ), 'magnitudeSquared' );
+
+  // no floating-point drift: 3 * (1/3) is exactly 1
+  const sum = vector( '0', '0' );
+  _.times( 3, () => sum.add( vector( '1/3', '1/10' ) ) );
+  assert.ok( sum.equals( vector( '1', '3/10' ) ), 'add is exact' );
+  assert.ok( sum.subtract( vector( '1', '3/10' ) ).equals( vector( '0', '0' ) ), 'subtract mutates' );
+  assert.ok( sum.set( a ).multiplyScalar( 3 ).negate().equals( vector( '-1', '-3/2' ) ), 'chaining' );
+} );
+
+QUnit.test( 'Vector2 conversion', assert => {
+  const v = vector( '1/4', '-5/2' ).toVector2();
+  assert.ok( v.x === 0.25 && v.y === -2.5, 'toVector2' );
+  assert.ok( RationalVector2.fromVector2( new Vector2( 0.25, -2.5 ) ).equals( vector( '1/4', '-5/2' ) ), 'fromVector2' );
+  assert.ok( RationalVector2.fromVector2( new Vector2( 1 / 3, 0.6666667 ), { maxDenominator: 10 } )
+    .equals( vector( '1/3', '2/3' ) ), 'fromVector2 with maxDenominator' );
+
+  const modelViewTransform = ModelViewTransform2.createSinglePointScaleInvertedYMapping( Vector2.ZERO,
+    new Vector2( 100, 200 ), 30 );
+  const viewPosition = vector( '1/3', '2/3' ).toViewPosition( modelViewTransform );
+  assert.ok( viewPosition.x === 110 && viewPosition.y === 180, 'toViewPosition' );
+} );
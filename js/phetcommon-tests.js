@@ -6,8 +6,17 @@
  * @author Sam Reid (PhET Interactive Simulations)
  */
 
+import './model/BigFractionTests.js';
+import './model/DerivedFractionPropertyTests.js';
+import './model/FractionDecompositionTests.js';
+import './model/FractionGeneratorTests.js';
+import './model/FractionMapTests.js';
+import './model/FractionSetTests.js';
 import './model/FractionTests.js';
+import './model/RationalVector2Tests.js';
+import './model/RatioTests.js';
 import './util/StringUtilsTests.js';
+import './view/FractionNumberLineTests.js';
 import qunitStart from '../../chipper/js/sim-tests/qunitStart.js';
 
 // Since our tests are loaded asynchronously, we must direct QUnit to begin the tests
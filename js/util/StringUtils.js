@@ -4,12 +4,44 @@
  * Collection of utility functions related to Strings.
  */
 
+import merge from '../../../phet-core/js/merge.js';
 import phetcommon from '../phetcommon.js';
 
-// Unicode embedding marks that we use.
-const LTR = '\u202a';
-const RTL = '\u202b';
-const POP = '\u202c';
+// Unicode directional formatting characters, see https://www.unicode.org/reports/tr9/#Directional_Formatting_Characters
+const LTR = '\u202a'; // left-to-right embedding (LRE)
+const RTL = '\u202b'; // right-to-left embedding (RLE)
+const POP = '\u202c'; // pop directional formatting (PDF), closes an embedding or override
+const LRO = '\u202d'; // left-to-right override
+const RLO = '\u202e'; // right-to-left override
+const LRI = '\u2066'; // left-to-right isolate
+const RLI = '\u2067'; // right-to-left isolate
+const FSI = '\u2068'; // first strong isolate, whose direction is that of its first strong character
+const PDI = '\u2069'; // pop directional isolate, closes an isolate
+
+// Marks that are closed by POP or PDI
+const OPENING_MARKS = [ LTR, RTL, LRO, RLO, LRI, RLI, FSI ];
+
+// Names of the marks, see embeddedDebugString
+const MARK_NAMES = {
+  [ LTR ]: 'LTR',
+  [ RTL ]: 'RTL',
+  [ POP ]: 'POP',
+  [ LRO ]: 'LRO',
+  [ RLO ]: 'RLO',
+  [ LRI ]: 'LRI',
+  [ RLI ]: 'RLI',
+  [ FSI ]: 'FSI',
+  [ PDI ]: 'PDI'
+};
+
+const DIRECTIONAL_MARKS_REGEX = /[\u202a-\u202e\u2066-\u2069]/g;
+const NON_MARKS_REGEX = /[^\u202a-\u202e\u2066-\u2069]/g;
+
+// Strong directional characters: letters in right-to-left scripts (Hebrew, Arabic, Syriac, Thaana, N'Ko, etc.) and
+// the RLM and ALM marks, or other letters and the LRM mark. Digits and combining marks in these scripts are not strong.
+const STRONG_RTL_REGEX =
+  /[\u200f\u061c]|(?=\p{L})[\u0590-\u08ff\ufb1d-\ufdff\ufe70-\ufefc\u{10800}-\u{10fff}\u{1e800}-\u{1efff}]/u;
+const STRONG_LTR_REGEX = /[\u200e]|\p{L}/u;
 
 const StringUtils = {
 
@@ -43,43 +75,420 @@ const StringUtils = {
    * > StringUtils.fillIn( '{{name}} is {{age}} years old', { name: 'Fred', age: 23 } )
    * "Fred is 23 years old"
    *
+   * A placeholder may use a dotted path to look up a nested value, e.g. '{{atom.name}}', and may be followed by
+   * formatters, separated by '|', with arguments separated by ':', e.g. '{{mass|number:2}}' or
+   * '{{atom.name|capitalize}}'. This lets translators choose formatting in the string. The built-in formatters are:
+   *
+   * number[:decimalPlaces] - formats a number for the locale, see formatNumber, e.g. '{{mass|number:2}}' is '1,234.50'
+   * capitalize - capitalizes the first letter, see capitalize
+   * uppercase - converts to upper case for the locale
+   * fraction[:reduced][:mixed][:unicode] - formats a Fraction, e.g. '{{f|fraction:reduced:mixed}}' is '1 1/2' for 6/4,
+   *   see Fraction toString, toMixedNumberString and toUnicodeString
+   *
+   * More formatters can be added with registerFillInFormatter. A placeholder whose complete text is a key in values
+   * is filled in with that value, unformatted, so keys that contain '.' or '|' still work.
+   *
+   * To include literal curly braces that would otherwise be a placeholder, precede them with a backslash, e.g.
+   * '\\{{name}}' (in JavaScript source) is '{{name}}'.
+   *
+   * Example:
+   * > StringUtils.fillIn( '{{atom.name|capitalize}} has a mass of {{atom.mass|number:2}}',
+   *     { atom: { name: 'neon', mass: 20.1797 } } )
+   * "Neon has a mass of 20.18"
+   *
    * @param {string} template - the template, containing zero or more placeholders
    * @param {Object} values - a hash whose keys correspond to the placeholder names, e.g. { name: 'Fred', age: 23 }
    *                          Unused keys are silently ignored. All placeholders do not need to be filled.
+   *                          Use options.strict to catch these cases, see getFillInProblems.
+   *                          Values may be objects, whose fields are used by placeholders with dotted paths.
+   * @param {Object} [options]
    * @returns {string}
+   * @throws {Error} if options.strict is true and there are problems, see getFillInProblems
    * @public
    */
-  fillIn: function( template, values ) {
+  fillIn: function( template, values, options ) {
     assert && assert( typeof template === 'string', `invalid template: ${template}` );
 
     // To catch attempts to use StringUtils.fillIn like StringUtils.format
     assert && assert( values && typeof values === 'object', `invalid values: ${values}` );
 
-    let newString = template;
+    // fillIn is called often (e.g. whenever a dynamic string changes), so options are only merged if provided
+    options = options ? merge( {}, FILL_IN_DEFAULT_OPTIONS, options ) : FILL_IN_DEFAULT_OPTIONS;
 
-    // {string[]} parse out the set of placeholders
-    const placeholders = template.match( /\{\{[^{}]+\}\}/g ) || [];
+    if ( options.strict ) {
+      const problems = StringUtils.getFillInProblems( template, values );
+      if ( problems.length > 0 ) {
+        throw new Error( `problems filling in "${template}": ${problems.join( '; ' )}` );
+      }
+    }
 
-    // replace each placeholder with its corresponding value
-    for ( let i = 0; i < placeholders.length; i++ ) {
-      const placeholder = placeholders[ i ];
+    const locale = options.locale && toLanguageTag( options.locale, null );
 
-      // key is the portion of the placeholder between the curly braces
-      const key = placeholder.replace( '{{', '' ).replace( '}}', '' );
-      if ( values[ key ] !== undefined ) {
-        newString = newString.replace( placeholder, values[ key ] );
+    // replace each placeholder with its corresponding value, and each escaped '{{' with '{{'
+    return template.replace( PLACEHOLDER_REGEX, ( match, placeholder ) => {
+      if ( placeholder === undefined ) {
+        return '{{';
       }
-    }
+      const value = getPlaceholderValue( placeholder, values, locale );
+      return ( value === undefined ) ? match :
+             options.isolateValues ? StringUtils.isolate( `${value}` ) :
+             value;
+    } );
+  },
+
+  /**
+   * Registers a formatter for fillIn and fillInMessage placeholders, e.g. '{{value|name}}' or '{{value|name:arg}}'.
+   *
+   * Example:
+   * > StringUtils.registerFillInFormatter( 'reversed', value => `${value}`.split( '' ).reverse().join( '' ) );
+   * > StringUtils.fillIn( '{{name|reversed}}', { name: 'Fred' } )
+   * "derF"
+   *
+   * @param {string} name - must not contain whitespace, '|', ':' or curly braces
+   * @param {function(value:*, args:string[], locale:string):*} formatter - args are the formatter's arguments in the
+   *   placeholder, e.g. [ '2' ] for '{{value|number:2}}', and locale is a BCP 47 language tag, e.g. 'pt-BR'
+   * @public
+   */
+  registerFillInFormatter( name, formatter ) {
+    assert && assert( /^[^\s|:{}]+$/.test( name ), `invalid formatter name: ${name}` );
+    assert && assert( !fillInFormatters[ name ], `formatter is already registered: ${name}` );
+    assert && assert( typeof formatter === 'function', `invalid formatter: ${formatter}` );
+    fillInFormatters[ name ] = formatter;
+  },
+
+  /**
+   * Finds problems that would cause fillIn to produce an incorrect string: placeholders that have no value, values
+   * that are not used by any placeholder, formatters that are not registered, and malformed placeholders, e.g.
+   * '{{ name }}', '{{name}', or '{name}' where name is a key in values. A value is used if a placeholder uses it or
+   * one of its fields, e.g. '{{atom.mass}}' uses the value atom.
+   *
+   * Example:
+   * > StringUtils.getFillInProblems( '{{name}} is { age } years old', { name: 'Fred', age: 23, height: 60 } )
+   * [ "malformed placeholder: { age }", "unused value: age", "unused value: height" ]
+   *
+   * @param {string} template - see fillIn
+   * @param {Object} values - see fillIn
+   * @returns {string[]} - descriptions of the problems, empty if there are no problems
+   * @public
+   */
+  getFillInProblems: function( template, values ) {
+    const problems = getMalformedPlaceholders( template, Object.keys( values ) )
+      .map( placeholder => `malformed placeholder: ${placeholder}` );
+
+    // {string[]} the keys of values that are used by placeholders
+    const usedKeys = [];
+    getPlaceholders( template ).forEach( placeholder => {
+      if ( values[ placeholder ] !== undefined ) {
+        usedKeys.push( placeholder );
+        return;
+      }
+      const [ path, ...formatters ] = placeholder.split( '|' );
+      usedKeys.push( ( values[ path ] !== undefined ) ? path : path.split( '.' )[ 0 ] );
+      if ( getValueAtPath( values, path ) === undefined ) {
+        problems.push( `missing value for placeholder: {{${placeholder}}}` );
+      }
+      formatters.map( formatter => formatter.split( ':' )[ 0 ] ).filter( name => !fillInFormatters[ name ] )
+        .forEach( name => problems.push( `unknown formatter in placeholder {{${placeholder}}}: ${name}` ) );
+    } );
+
+    return [
+      ...problems,
+      ...Object.keys( values ).filter( key => !usedKeys.includes( key ) ).map( key => `unused value: ${key}` )
+    ];
+  },
+
+  /**
+   * Checks that a translated template has the same placeholders as the source (English) template, and that it has no
+   * malformed placeholders. This includes the plural, selectordinal and select blocks of fillInMessage. Placeholders
+   * are compared by their paths, so a translation may use different formatters than the source, e.g.
+   * '{{mass|number:1}}' for '{{mass|number:2}}', but its formatters must be registered.
+   *
+   * Example:
+   * > StringUtils.lintTemplate( '{{ nom }} a {{age}} ans', '{{name}} is {{age}} years old' )
+   * [ "malformed placeholder: {{ nom }}", "missing placeholder: name" ]
+   *
+   * @param {string} translation - the translated template
+   * @param {string} source - the source template
+   * @returns {string[]} - descriptions of the problems, empty if there are no problems
+   * @public
+   */
+  lintTemplate: function( translation, source ) {
+    const translationKeys = getPlaceholderKeys( translation );
+    const sourceKeys = getPlaceholderKeys( source );
+    return [
+      ...getMalformedPlaceholders( translation, sourceKeys )
+        .map( placeholder => `malformed placeholder: ${placeholder}` ),
+      ...sourceKeys.filter( key => !translationKeys.includes( key ) ).map( key => `missing placeholder: ${key}` ),
+      ...translationKeys.filter( key => !sourceKeys.includes( key ) ).map( key => `unexpected placeholder: ${key}` ),
+      ...getPlaceholders( translation ).flatMap( placeholder => placeholder.split( '|' ).slice( 1 )
+        .map( formatter => formatter.split( ':' )[ 0 ] ).filter( name => !fillInFormatters[ name ] )
+        .map( name => `unknown formatter in placeholder {{${placeholder}}}: ${name}` ) )
+    ];
+  },
+
+  /**
+   * Like fillIn, but also supports ICU MessageFormat-style plural, selectordinal and select blocks, so that
+   * translators can choose text based on a value. Simple placeholders use the same syntax as fillIn, e.g. '{{name}}'.
+   * Blocks use the ICU syntax, with single curly braces, e.g.
+   *
+   * '{count, plural, one {# electron} other {# electrons}}'
+   * '{place, selectordinal, one {#st} two {#nd} few {#rd} other {#th}}'
+   * '{gender, select, female {her book} male {his book} other {their book}}'
+   *
+   * In a plural or selectordinal block, the branch is chosen by an exact match (e.g. '=0 {no electrons}'), then by the
+   * value's plural category in the locale ('zero', 'one', 'two', 'few', 'many' or 'other'), then 'other'. Plural blocks
+   * may have an offset (e.g. '{count, plural, offset:1 ...}'), which is subtracted before choosing the category. In the
+   * branch, '#' is replaced by the value (minus the offset), formatted for the locale as in formatNumber, e.g. '1,000'
+   * in English. In a select block, the branch is chosen by the value, then
+   * 'other'. Every block must have an 'other' branch. Branches may contain placeholders and other blocks.
+   *
+   * Like fillIn, placeholders may have dotted paths and formatters, placeholders and blocks whose values are not
+   * provided are left in the result, '\\{{' is a literal '{{', and curly braces that are not part of a placeholder or
+   * block are OK to use in the template.
+   *
+   * Example:
+   * > StringUtils.fillInMessage( '{{name}} has {count, plural, one {# electron} other {# electrons}}',
+   *     { name: 'Fred', count: 3 } )
+   * "Fred has 3 electrons"
+   *
+   * @param {string} template - the template, containing zero or more placeholders and blocks
+   * @param {Object} values - a hash whose keys correspond to the placeholder and block names
+   * @param {Object} [options]
+   * @returns {string}
+   * @public
+   */
+  fillInMessage: function( template, values, options ) {
+    assert && assert( typeof template === 'string', `invalid template: ${template}` );
+    assert && assert( values && typeof values === 'object', `invalid values: ${values}` );
+
+    options = merge( {
+      locale: getDefaultLocale() // {string} locale for plural rules, e.g. 'en' or 'pt_BR', defaults to the sim's locale
+    }, options );
 
-    return newString;
+    return formatMessage( template, values, options.locale.replace( /_/g, '-' ), null );
   },
 
   /**
    * @public
-   * @returns {boolean} - Whether this length-1 string is equal to one of the three directional embedding marks used.
+   * @returns {boolean} - Whether this length-1 string is one of the directional formatting characters: the embedding
+   *   marks (LTR, RTL and POP), the override marks (LRO and RLO), or the isolate marks (LRI, RLI, FSI and PDI).
    */
   isEmbeddingMark: function( chr ) {
-    return chr === LTR || chr === RTL || chr === POP;
+    return OPENING_MARKS.includes( chr ) || chr === POP || chr === PDI;
+  },
+
+  /**
+   * Gets the direction of a string, from its first strong directional character (letter, or LRM/RLM/ALM mark), as
+   * for the FSI mark. Characters in isolates are skipped. Numbers and punctuation have no direction.
+   *
+   * Examples:
+   * > StringUtils.getTextDirection( '3 שלום' )
+   * "rtl"
+   * > StringUtils.getTextDirection( '3.14' )
+   * null
+   *
+   * @param {string} string
+   * @returns {string|null} - 'ltr', 'rtl', or null if there are no strong directional characters
+   * @public
+   */
+  getTextDirection: function( string ) {
+    let isolateDepth = 0;
+    for ( const chr of string ) {
+      if ( chr === LRI || chr === RLI || chr === FSI ) {
+        isolateDepth++;
+      }
+      else if ( chr === PDI ) {
+        isolateDepth = Math.max( 0, isolateDepth - 1 );
+      }
+      else if ( isolateDepth === 0 && STRONG_RTL_REGEX.test( chr ) ) {
+        return 'rtl';
+      }
+      else if ( isolateDepth === 0 && STRONG_LTR_REGEX.test( chr ) ) {
+        return 'ltr';
+      }
+    }
+    return null;
+  },
+
+  /**
+   * Wraps a string in directional isolate marks, so that it is displayed in a direction, and does not affect the
+   * display of the text around it, e.g. an English name in an Arabic sentence.
+   * @param {string} string
+   * @param {string|null} [direction] - 'ltr' (LRI), 'rtl' (RLI), or null for the direction of the first strong
+   *   character (FSI). Defaults to the direction detected by getTextDirection.
+   * @returns {string}
+   * @public
+   */
+  isolate: function( string, direction ) {
+    direction = ( direction === undefined ) ? StringUtils.getTextDirection( string ) : direction;
+    assert && assert( direction === 'ltr' || direction === 'rtl' || direction === null,
+      `invalid direction: ${direction}` );
+
+    const mark = ( direction === 'ltr' ) ? LRI : ( direction === 'rtl' ) ? RLI : FSI;
+    return mark + string + PDI;
+  },
+
+  /**
+   * Wraps a string in directional override marks, so that all of its characters are displayed in a direction,
+   * regardless of their own directions. This is rarely needed, e.g. for part numbers that mix letters and digits.
+   * @param {string} string
+   * @param {string} direction - 'ltr' (LRO) or 'rtl' (RLO)
+   * @returns {string}
+   * @public
+   */
+  override: function( string, direction ) {
+    assert && assert( direction === 'ltr' || direction === 'rtl', `invalid direction: ${direction}` );
+    return ( direction === 'ltr' ? LRO : RLO ) + string + POP;
+  },
+
+  /**
+   * Gets the length of a string, not counting the directional formatting characters (see isEmbeddingMark).
+   * @param {string} string
+   * @returns {number}
+   * @public
+   */
+  embeddedLength: function( string ) {
+    return string.replace( DIRECTIONAL_MARKS_REGEX, '' ).length;
+  },
+
+  /**
+   * String's substring() API, but the indices do not count directional formatting characters (see embeddedLength),
+   * and the result has the marks needed for the correct LTR/RTL order, as in embeddedSlice().
+   * @param {string} string
+   * @param {number} startIndex
+   * @param {number} [endIndex] - defaults to embeddedLength( string )
+   * @returns {string}
+   * @public
+   */
+  embeddedSubstring: function( string, startIndex, endIndex ) {
+    const length = StringUtils.embeddedLength( string );
+    const clamp = index => Math.min( Math.max( index || 0, 0 ), length );
+    startIndex = clamp( startIndex );
+    endIndex = ( endIndex === undefined ) ? length : clamp( endIndex );
+    if ( startIndex > endIndex ) {
+      [ startIndex, endIndex ] = [ endIndex, startIndex ];
+    }
+    if ( startIndex === endIndex ) {
+      return '';
+    }
+
+    const indices = getVisibleIndices( string );
+    return StringUtils.embeddedSlice( string, indices[ startIndex ], indices[ endIndex - 1 ] + 1 );
+  },
+
+  /**
+   * String's trim() API, but directional formatting characters are kept, so that the result has balanced marks if the
+   * string does, e.g. '[RTL] hello [POP]' is trimmed to '[RTL]hello[POP]'.
+   * @param {string} string
+   * @returns {string} - empty if the string has only whitespace and directional formatting characters
+   * @public
+   */
+  embeddedTrim: function( string ) {
+    const indices = getVisibleIndices( string ).filter( index => !/\s/.test( string[ index ] ) );
+    if ( indices.length === 0 ) {
+      return '';
+    }
+    const startIndex = indices[ 0 ];
+    const endIndex = indices[ indices.length - 1 ] + 1;
+    return string.slice( 0, startIndex ).replace( /\s/g, '' ) +
+           string.slice( startIndex, endIndex ) +
+           string.slice( endIndex ).replace( /\s/g, '' );
+  },
+
+  /**
+   * String's replace() API, but the pattern is matched against the string without its directional formatting
+   * characters, so that marks don't prevent matches. The marks in a replaced part of the string are kept (after the
+   * replacement), so that the result has balanced marks if the string does.
+   *
+   * Example:
+   * > StringUtils.embeddedDebugString( StringUtils.embeddedReplace( 'ab\u202bcd\u202c', /bc/, 'X' ) )
+   * "aX[RTL]d[POP]"
+   *
+   * @param {string} string
+   * @param {string|RegExp} pattern - as for replace(), a string pattern is replaced once, and a RegExp is replaced once
+   *   or globally, depending on its flags
+   * @param {string|function(match:string, ...*):string} replacement - a string is used literally, without special
+   *   replacement patterns like '$&'. A function is called with the same arguments as for replace().
+   * @returns {string}
+   * @public
+   */
+  embeddedReplace: function( string, pattern, replacement ) {
+    assert && assert( typeof pattern === 'string' || pattern instanceof RegExp, `invalid pattern: ${pattern}` );
+
+    const indices = getVisibleIndices( string );
+    const text = indices.map( index => string[ index ] ).join( '' );
+
+    // {Array.<{startIndex:number, endIndex:number, replacement:string}>} the parts of the string to replace
+    const replacements = [];
+    text.replace( pattern, ( ...args ) => {
+      const match = args[ 0 ];
+
+      // the offset is followed by the string, and by the named groups if the pattern has any
+      const offset = args[ args.length - ( ( typeof args[ args.length - 1 ] === 'object' ) ? 3 : 2 ) ];
+      const startIndex = ( offset < indices.length ) ? indices[ offset ] : string.length;
+      replacements.push( {
+        startIndex: startIndex,
+        endIndex: ( match.length > 0 ) ? indices[ offset + match.length - 1 ] + 1 : startIndex,
+        replacement: ( typeof replacement === 'function' ) ? replacement( ...args ) : replacement
+      } );
+      return match;
+    } );
+
+    let result = '';
+    let index = 0;
+    replacements.forEach( part => {
+      result += string.slice( index, part.startIndex ) + part.replacement +
+                string.slice( part.startIndex, part.endIndex ).replace( NON_MARKS_REGEX, '' );
+      index = part.endIndex;
+    } );
+    return result + string.slice( index );
+  },
+
+  /**
+   * Finds directional formatting characters that are not balanced: POP marks that do not close an embedding or
+   * override, PDI marks that do not close an isolate, embeddings and overrides that are not closed before their
+   * isolate is closed, and marks that are never closed. Strings with unbalanced marks can change the direction of
+   * the text that follows them, e.g. when they are filled into other strings.
+   *
+   * Example:
+   * > StringUtils.getEmbeddingMarkProblems( '\u202ahello\u2067world' )
+   * [ "unclosed [LTR] at index 0", "unclosed [RLI] at index 6" ]
+   *
+   * @param {string} string
+   * @returns {string[]} - descriptions of the problems, empty if the marks are balanced
+   * @public
+   */
+  getEmbeddingMarkProblems: function( string ) {
+    const problems = [];
+    const stack = []; // {Array.<{mark:string, index:number}>} the marks that are open
+    const describe = ( mark, index ) => `${StringUtils.embeddedDebugString( mark )} at index ${index}`;
+
+    for ( let i = 0; i < string.length; i++ ) {
+      const chr = string[ i ];
+      if ( OPENING_MARKS.includes( chr ) ) {
+        stack.push( { mark: chr, index: i } );
+      }
+      else if ( chr === POP ) {
+        if ( stack.length > 0 && !isIsolateMark( stack[ stack.length - 1 ].mark ) ) {
+          stack.pop();
+        }
+        else {
+          problems.push( `unmatched ${describe( chr, i )}` );
+        }
+      }
+      else if ( chr === PDI ) {
+        if ( stack.some( open => isIsolateMark( open.mark ) ) ) {
+          let open;
+          while ( !isIsolateMark( ( open = stack.pop() ).mark ) ) {
+            problems.push( `${describe( open.mark, open.index )} is not closed before ${describe( chr, i )}` );
+          }
+        }
+        else {
+          problems.push( `unmatched ${describe( chr, i )}` );
+        }
+      }
+    }
+    return problems.concat( stack.map( open => `unclosed ${describe( open.mark, open.index )}` ) );
   },
 
   /**
@@ -110,9 +519,9 @@ const StringUtils = {
    * @returns {string} - The sliced string, with embedding marks added at hte start and end.
    */
   embeddedSlice: function( string, startIndex, endIndex ) {
-    // {Array.<string>} - array of LTR/RTL embedding marks that are currently on the stack for the current location.
+    // {Array.<string>} - array of embedding, override and isolate marks that are currently on the stack for the current
+    // location, see updateMarkStack.
     const stack = [];
-    let chr;
 
     if ( endIndex === undefined ) {
       endIndex = string.length;
@@ -137,13 +546,7 @@ const StringUtils = {
 
     // Walk up to the start of the string
     for ( let i = 0; i < startIndex; i++ ) {
-      chr = string.charAt( i );
-      if ( chr === LTR || chr === RTL ) {
-        stack.push( chr );
-      }
-      else if ( chr === POP ) {
-        stack.pop();
-      }
+      updateMarkStack( stack, string.charAt( i ) );
     }
 
     // Will store the minimum stack size during our slice. This allows us to turn [LTR][RTL]boo[POP][POP] into
@@ -158,14 +561,8 @@ const StringUtils = {
 
     // Walk through the sliced string, to determine what we need for the suffix
     for ( let j = 0; j < slice.length; j++ ) {
-      chr = slice.charAt( j );
-      if ( chr === LTR || chr === RTL ) {
-        stack.push( chr );
-      }
-      else if ( chr === POP ) {
-        stack.pop();
-        minimumStackSize = Math.min( stack.length, minimumStackSize );
-      }
+      updateMarkStack( stack, slice.charAt( j ) );
+      minimumStackSize = Math.min( stack.length, minimumStackSize );
     }
 
     // Our ending stack for suffix computation
@@ -179,8 +576,8 @@ const StringUtils = {
     // Our prefix will be the embedding marks that have been skipped and not popped.
     const prefix = startStack.join( '' );
 
-    // Our suffix includes one POP for each embedding mark currently on the stack
-    const suffix = endStack.join( '' ).replace( /./g, POP );
+    // Our suffix closes each mark currently on the stack (with POP or PDI), innermost first
+    const suffix = endStack.map( mark => isIsolateMark( mark ) ? PDI : POP ).reverse().join( '' );
 
     return prefix + slice + suffix;
   },
@@ -225,7 +622,7 @@ const StringUtils = {
     function findSeparatorMatch() {
       let index;
       let length;
-      if ( separator instanceof window.RegExp ) {
+      if ( separator instanceof RegExp ) {
         const match = stringToSplit.match( separator );
         if ( match ) {
           index = match.index;
@@ -268,21 +665,22 @@ const StringUtils = {
     if ( limit !== undefined ) {
       assert && assert( typeof limit === 'number' );
 
-      result = _.first( result, limit );
+      result = result.slice( 0, limit );
     }
 
     return result;
   },
 
   /**
-   * Replaces embedding mark characters with visible strings. Useful for debugging for strings with embedding marks.
+   * Replaces directional formatting characters with visible strings, e.g. '[LTR]', '[POP]', '[RLI]' or '[PDI]'.
+   * Useful for debugging for strings with embedding marks.
    * @public
    *
    * @param {string} string
    * @returns {string} - With embedding marks replaced.
    */
   embeddedDebugString: function( string ) {
-    return string.replace( /\u202a/g, '[LTR]' ).replace( /\u202b/g, '[RTL]' ).replace( /\u202c/g, '[POP]' );
+    return string.replace( DIRECTIONAL_MARKS_REGEX, chr => `[${MARK_NAMES[ chr ]}]` );
   },
 
   /**
@@ -291,9 +689,10 @@ const StringUtils = {
    *
    * @param {string} string
    * @param {string} key
+   * @public
    */
   assertContainsKey( string, key ) {
-    assert && assert( string.indexOf( `{{${key}}}` ) >= 0, 'key not' );
+    assert && assert( string.indexOf( `{{${key}}}` ) >= 0, `placeholder {{${key}}} not found in string: ${string}` );
   },
 
   /**
@@ -305,9 +704,586 @@ const StringUtils = {
   capitalize( string ) {
     assert && assert( string.length > 0, 'expected a non-zero string' );
     return string[ 0 ].toUpperCase() + string.slice( 1 );
+  },
+
+  /**
+   * Formats a number for a locale, with the locale's decimal separator, grouping and (optionally) digits. Use this
+   * instead of toFixed for numbers that are shown to the user. This uses the browser's Intl API, which has the data for
+   * all locales built in, so no data is loaded over the network. If Intl is not supported, the number is formatted
+   * as in English.
+   *
+   * Examples:
+   * > StringUtils.formatNumber( 1234.5, { locale: 'de', decimalPlaces: 2 } )
+   * "1.234,50"
+   * > StringUtils.formatNumber( 0.375, { style: 'percent', decimalPlaces: 1 } )
+   * "37.5%"
+   * > StringUtils.formatNumber( 12345, { style: 'scientific', significantFigures: 3 } )
+   * "1.23E4"
+   *
+   * @param {number} number
+   * @param {Object} [options]
+   * @returns {string}
+   * @public
+   */
+  formatNumber( number, options ) {
+    assert && assert( typeof number === 'number', `invalid number: ${number}` );
+
+    options = merge( {
+      locale: getDefaultLocale(), // {string} e.g. 'en' or 'pt_BR', defaults to the sim's locale
+      style: 'decimal', // {string} 'decimal', 'percent' (where 0.5 is '50%') or 'scientific'
+
+      // {number|null} exact number of digits after the decimal point (of the mantissa, for scientific)
+      decimalPlaces: null,
+
+      // {number|null} number of significant figures, e.g. 3 for '1.23', takes precedence over decimalPlaces
+      significantFigures: null,
+
+      // {string|null} numbering system for the digits, e.g. 'arab' for Arabic-Indic digits, 'arabext' for Persian
+      // digits, or null for the locale's default
+      numberingSystem: null,
+
+      useGrouping: true // {boolean} whether to use grouping separators, e.g. '1,234'
+    }, options );
+    assert && assert( [ 'decimal', 'percent', 'scientific' ].includes( options.style ),
+      `invalid style: ${options.style}` );
+
+    const formatOptions = getDigitsOptions( options );
+    if ( options.style === 'percent' ) {
+      formatOptions.style = 'percent';
+    }
+    else if ( options.style === 'scientific' ) {
+      formatOptions.notation = 'scientific';
+    }
+
+    const formatter = getNumberFormat( toLanguageTag( options.locale, options.numberingSystem ), formatOptions );
+    return formatter ? formatter.format( number ) : formatNumberFallback( number, options );
+  },
+
+  /**
+   * Formats a number with a unit for a locale, e.g. '2.5 meters' in English or '2,5 mètres' in French. The unit must be
+   * one of the units supported by Intl.NumberFormat, e.g. 'meter', 'kilogram', 'celsius' or 'kilometer-per-hour'
+   * (see https://tc39.es/ecma402/#table-sanctioned-single-unit-identifiers). If the unit is not supported, the result
+   * is the formatted number followed by the unit, e.g. '2.5 newton'.
+   * @param {number} number
+   * @param {string} unit
+   * @param {Object} [options] - see formatNumber, except for style
+   * @returns {string}
+   * @public
+   */
+  formatUnit( number, unit, options ) {
+    assert && assert( typeof number === 'number', `invalid number: ${number}` );
+    assert && assert( !options || !options.style, 'style is not supported by formatUnit' );
+
+    options = merge( {
+      locale: getDefaultLocale(),
+      decimalPlaces: null,
+      significantFigures: null,
+      numberingSystem: null,
+      useGrouping: true,
+      unitDisplay: 'short' // {string} 'short' (e.g. '2.5 m'), 'long' (e.g. '2.5 meters') or 'narrow' (e.g. '2.5m')
+    }, options );
+
+    const formatOptions = merge( getDigitsOptions( options ), {
+      style: 'unit',
+      unit: unit,
+      unitDisplay: options.unitDisplay
+    } );
+
+    const formatter = getNumberFormat( toLanguageTag( options.locale, options.numberingSystem ), formatOptions );
+    return formatter ? formatter.format( number ) :
+           `${StringUtils.formatNumber( number, Object.assign( {}, options, { unitDisplay: undefined } ) )} ${unit}`;
+  },
+
+  /**
+   * Formats a list of strings for a locale, e.g. 'A, B, and C' in English or 'A, B y C' in Spanish.
+   * If Intl.ListFormat is not supported, the list is formatted as in English.
+   * @param {string[]} items
+   * @param {Object} [options]
+   * @returns {string}
+   * @public
+   */
+  formatList( items, options ) {
+    assert && assert( Array.isArray( items ), `invalid items: ${items}` );
+
+    options = merge( {
+      locale: getDefaultLocale(), // {string} e.g. 'en' or 'pt_BR', defaults to the sim's locale
+      type: 'conjunction', // {string} 'conjunction' ('A, B, and C'), 'disjunction' ('A, B, or C') or 'unit' ('A, B, C')
+      style: 'long' // {string} 'long', 'short' or 'narrow', e.g. 'A, B, & C' is short in English
+    }, options );
+    assert && assert( [ 'conjunction', 'disjunction', 'unit' ].includes( options.type ),
+      `invalid type: ${options.type}` );
+
+    if ( typeof Intl !== 'undefined' && Intl.ListFormat ) {
+      return new Intl.ListFormat( toLanguageTag( options.locale, null ), {
+        type: options.type,
+        style: options.style
+      } ).format( items );
+    }
+    else {
+      const conjunction = ( options.type === 'conjunction' ) ? 'and ' : ( options.type === 'disjunction' ) ? 'or ' : '';
+      return ( items.length <= 1 ) ? items.join( '' ) :
+             ( items.length === 2 && conjunction ) ? `${items[ 0 ]} ${conjunction}${items[ 1 ]}` :
+             `${items.slice( 0, -1 ).join( ', ' )}, ${conjunction}${items[ items.length - 1 ]}`;
+    }
+  }
+};
+
+/**
+ * Is a mark an isolate mark (LRI, RLI or FSI), which is closed by PDI rather than POP?
+ * @param {string} mark
+ * @returns {boolean}
+ */
+function isIsolateMark( mark ) {
+  return mark === LRI || mark === RLI || mark === FSI;
+}
+
+/**
+ * Updates the stack of open marks for a character, see embeddedSlice. As in the Unicode Bidirectional Algorithm, POP
+ * closes the innermost embedding or override if it is not outside of an isolate, and PDI closes the innermost isolate
+ * and the embeddings and overrides in it. POP and PDI marks that don't close anything are ignored.
+ * @param {string[]} stack - the open marks, innermost last
+ * @param {string} chr
+ */
+function updateMarkStack( stack, chr ) {
+  if ( OPENING_MARKS.includes( chr ) ) {
+    stack.push( chr );
+  }
+  else if ( chr === POP ) {
+    if ( stack.length > 0 && !isIsolateMark( stack[ stack.length - 1 ] ) ) {
+      stack.pop();
+    }
+  }
+  else if ( chr === PDI && stack.some( isIsolateMark ) ) {
+    let mark;
+    do {
+      mark = stack.pop();
+    } while ( !isIsolateMark( mark ) );
+  }
+}
+
+/**
+ * Gets the indices of the characters in a string that are not directional formatting characters.
+ * @param {string} string
+ * @returns {number[]}
+ */
+function getVisibleIndices( string ) {
+  const indices = [];
+  for ( let i = 0; i < string.length; i++ ) {
+    if ( !StringUtils.isEmbeddingMark( string[ i ] ) ) {
+      indices.push( i );
+    }
+  }
+  return indices;
+}
+
+// Matches the start of a plural, selectordinal or select block, e.g. '{count, plural,'
+const BLOCK_START_REGEX = /^\{\s*([^\s{},]+)\s*,\s*(plural|selectordinal|select)\s*,/;
+
+// Matches an escaped '{{' (a backslash followed by '{{'), or a placeholder, whose text is captured, see fillIn
+const PLACEHOLDER_REGEX = /\\\{\{|\{\{([^{}]+)\}\}/g;
+
+// Default options for fillIn
+const FILL_IN_DEFAULT_OPTIONS = {
+  // {boolean} whether to throw an Error if there are problems, see getFillInProblems. This checks the template on every
+  // call, so for checking translations without throwing, call getFillInProblems or lintTemplate instead.
+  strict: false,
+  locale: null, // {string|null} locale for formatters, e.g. 'en' or 'pt_BR', null for the sim's locale
+
+  // {boolean} whether to wrap each value in directional isolate marks for its direction (see isolate), so that
+  // values in a different direction than the template, e.g. English names in an Arabic template, are displayed
+  // correctly, and don't affect the display of the rest of the template
+  isolateValues: false
+};
+
+// {Object.<string,function(value:*, args:string[], locale:string):*>} formatters for placeholders, by name, see fillIn
+const fillInFormatters = {
+  number: ( value, args, locale ) => {
+    assert && assert( typeof value === 'number', `number formatter requires a number: ${value}` );
+    return StringUtils.formatNumber( value, {
+      locale: locale,
+      decimalPlaces: ( args.length > 0 ) ? Number( args[ 0 ] ) : null
+    } );
+  },
+  capitalize: value => ( `${value}`.length > 0 ) ? StringUtils.capitalize( `${value}` ) : '',
+  uppercase: ( value, args, locale ) => `${value}`.toLocaleUpperCase( locale ),
+
+  // Fractions are duck-typed, so that StringUtils does not depend on Fraction, and this works without loading Fraction
+  fraction: ( fraction, args ) => {
+    assert && assert( fraction && typeof fraction.reduced === 'function' &&
+                      typeof fraction.toMixedNumberString === 'function' && typeof fraction.toUnicodeString === 'function',
+      `fraction formatter requires a Fraction: ${fraction}` );
+    assert && assert( args.every( arg => [ 'reduced', 'mixed', 'unicode' ].includes( arg ) ),
+      `invalid fraction formatter arguments: ${args}` );
+
+    const value = args.includes( 'reduced' ) ? fraction.reduced() : fraction;
+    const unicode = args.includes( 'unicode' );
+    return args.includes( 'mixed' ) ? value.toMixedNumberString( { unicode: unicode } ) :
+           unicode ? value.toUnicodeString() :
+           value.toString();
   }
 };
 
+/**
+ * Gets the value at a dotted path, e.g. 'atom.mass' is values.atom.mass.
+ * @param {Object} values
+ * @param {string} path
+ * @returns {*} - undefined if there is no value at the path
+ */
+function getValueAtPath( values, path ) {
+  let value = values;
+  const names = path.split( '.' );
+  for ( let i = 0; i < names.length; i++ ) {
+    if ( value === null || value === undefined || typeof value !== 'object' ) {
+      return undefined;
+    }
+    value = value[ names[ i ] ];
+  }
+  return value;
+}
+
+/**
+ * Gets the value of a placeholder, see fillIn.
+ * @param {string} placeholder - the text between the curly braces, e.g. 'atom.mass|number:2'
+ * @param {Object} values
+ * @param {string|null} locale - BCP 47 language tag, null for the sim's locale, which is only looked up if needed
+ * @returns {*} - undefined if there is no value for the placeholder
+ */
+function getPlaceholderValue( placeholder, values, locale ) {
+
+  // exact key, so that keys that contain '.' or '|' work as before formatters and paths were supported
+  if ( values[ placeholder ] !== undefined ) {
+    return values[ placeholder ];
+  }
+
+  const [ path, ...formatters ] = placeholder.split( '|' );
+  let value = getValueAtPath( values, path );
+  if ( value !== undefined && formatters.length > 0 ) {
+    locale = locale || toLanguageTag( getDefaultLocale(), null );
+    formatters.forEach( formatter => {
+      const [ name, ...args ] = formatter.split( ':' );
+      assert && assert( fillInFormatters[ name ], `unknown formatter in placeholder {{${placeholder}}}: ${name}` );
+      if ( fillInFormatters[ name ] ) {
+        value = fillInFormatters[ name ]( value, args, locale );
+      }
+    } );
+  }
+  return value;
+}
+
+/**
+ * Gets the text of the placeholders in a template, e.g. 'atom.mass|number:2', and the names of the plural,
+ * selectordinal and select blocks (see fillInMessage). Escaped placeholders are not included.
+ * @param {string} template
+ * @returns {string[]} - without duplicates
+ */
+function getPlaceholders( template ) {
+  const placeholders = [];
+  const regex = /\\\{\{|\{\{([^{}]+)\}\}|\{\s*([^\s{},]+)\s*,\s*(?:plural|selectordinal|select)\s*,/g;
+  let match;
+  while ( ( match = regex.exec( template ) ) !== null ) {
+    const placeholder = match[ 1 ] || match[ 2 ];
+    if ( placeholder && !placeholders.includes( placeholder ) && placeholder.trim() === placeholder ) {
+      placeholders.push( placeholder );
+    }
+  }
+  return placeholders;
+}
+
+/**
+ * Gets the names of the placeholders in a template, which are their paths without formatters, e.g. 'atom.mass' for
+ * '{{atom.mass|number:2}}', and of the plural, selectordinal and select blocks (see fillInMessage).
+ * @param {string} template
+ * @returns {string[]}
+ */
+function getPlaceholderKeys( template ) {
+  return Array.from( new Set( getPlaceholders( template ).map( placeholder => placeholder.split( '|' )[ 0 ] ) ) );
+}
+
+/**
+ * Gets the malformed placeholders in a template: placeholders with whitespace around the key, e.g. '{{ name }}',
+ * empty placeholders '{{}}', unclosed placeholders, e.g. '{{name}' or '{{name', and single curly braces around one of
+ * the expected keys, e.g. '{name}'.
+ * @param {string} template
+ * @param {string[]} expectedKeys
+ * @returns {string[]}
+ */
+function getMalformedPlaceholders( template, expectedKeys ) {
+  template = template.replace( /\\\{\{/g, '' ); // escaped curly braces are not placeholders
+  const malformed = [];
+  const patterns = [
+    /\{\{(?:\s[^{}]*|[^{}]*\s)?\}\}/g, // whitespace around the key, or empty
+    /\{\{[^{}]*(?:\}(?!\})|$)|\{\{[^{}]+(?=\{)/g // unclosed
+  ];
+  let match;
+  patterns.forEach( pattern => {
+    while ( ( match = pattern.exec( template ) ) !== null ) {
+      malformed.push( match[ 0 ] );
+    }
+  } );
+
+  // single curly braces around an expected key, not part of a placeholder
+  const singleBraceRegex = /(^|[^{])(\{\s*([^{}\s]+)\s*\})(?!\})/g;
+  while ( ( match = singleBraceRegex.exec( template ) ) !== null ) {
+    if ( expectedKeys.includes( match[ 3 ] ) ) {
+      malformed.push( match[ 2 ] );
+    }
+  }
+  return malformed;
+}
+
+// {Object.<string,Intl.NumberFormat|null>} cache of number formats, by locale and options
+const numberFormatCache = {};
+
+/**
+ * Converts a PhET locale (e.g. 'pt_BR') to a BCP 47 language tag for Intl (e.g. 'pt-BR'), optionally with a
+ * numbering system extension (e.g. 'ar-u-nu-arab').
+ * @param {string} locale
+ * @param {string|null} numberingSystem
+ * @returns {string}
+ */
+function toLanguageTag( locale, numberingSystem ) {
+  const languageTag = locale.replace( /_/g, '-' );
+  return numberingSystem ? `${languageTag}-u-nu-${numberingSystem}` : languageTag;
+}
+
+/**
+ * Gets the options for Intl.NumberFormat that are common to formatNumber and formatUnit.
+ * @param {Object} options - see formatNumber
+ * @returns {Object}
+ */
+function getDigitsOptions( options ) {
+  const formatOptions = { useGrouping: options.useGrouping };
+  if ( options.significantFigures !== null ) {
+    formatOptions.minimumSignificantDigits = options.significantFigures;
+    formatOptions.maximumSignificantDigits = options.significantFigures;
+  }
+  else if ( options.decimalPlaces !== null ) {
+    formatOptions.minimumFractionDigits = options.decimalPlaces;
+    formatOptions.maximumFractionDigits = options.decimalPlaces;
+  }
+  return formatOptions;
+}
+
+/**
+ * Gets a (cached) Intl.NumberFormat.
+ * @param {string} languageTag
+ * @param {Object} formatOptions - options for Intl.NumberFormat
+ * @returns {Intl.NumberFormat|null} - null if Intl.NumberFormat is not supported, or does not support the options
+ */
+function getNumberFormat( languageTag, formatOptions ) {
+  const key = `${languageTag}/${JSON.stringify( formatOptions )}`;
+  if ( numberFormatCache[ key ] === undefined ) {
+    try {
+      numberFormatCache[ key ] = new Intl.NumberFormat( languageTag, formatOptions );
+    }
+    catch( e ) {
+
+      // Intl is not defined, or a RangeError for an unsupported unit, numbering system, or notation
+      numberFormatCache[ key ] = null;
+    }
+  }
+  return numberFormatCache[ key ];
+}
+
+/**
+ * Formats a number as in English, for when Intl.NumberFormat is not available. See formatNumber.
+ * @param {number} number
+ * @param {Object} options - see formatNumber
+ * @returns {string}
+ */
+function formatNumberFallback( number, options ) {
+  if ( options.style === 'scientific' ) {
+    const fractionDigits = ( options.significantFigures !== null ) ? options.significantFigures - 1 :
+                           ( options.decimalPlaces !== null ) ? options.decimalPlaces :
+                           undefined;
+    return number.toExponential( fractionDigits ).replace( /e\+?/, 'E' );
+  }
+  const value = ( options.style === 'percent' ) ? number * 100 : number;
+  let string = ( options.significantFigures !== null ) ? value.toPrecision( options.significantFigures ) :
+               ( options.decimalPlaces !== null ) ? value.toFixed( options.decimalPlaces ) :
+               `${value}`;
+  if ( options.useGrouping ) {
+    const parts = string.split( '.' );
+    parts[ 0 ] = parts[ 0 ].replace( /\B(?=(\d{3})+(?!\d))/g, ',' );
+    string = parts.join( '.' );
+  }
+  return ( options.style === 'percent' ) ? `${string}%` : string;
+}
+
+// {Object.<string,Intl.PluralRules>} cache of plural rules, by locale and type
+const pluralRulesCache = {};
+
+/**
+ * Gets the sim's locale, or 'en' if there is no sim, e.g. when running tests.
+ * @returns {string}
+ */
+function getDefaultLocale() {
+  return ( typeof phet !== 'undefined' && phet.chipper && phet.chipper.locale ) || 'en';
+}
+
+/**
+ * Gets the plural category of a number, e.g. 'one' or 'other'. If Intl.PluralRules is not supported, this uses the
+ * English rules.
+ * @param {number} number
+ * @param {string} locale - BCP 47 language tag, e.g. 'pt-BR'
+ * @param {string} type - 'cardinal' or 'ordinal'
+ * @returns {string}
+ */
+function getPluralCategory( number, locale, type ) {
+  if ( typeof Intl === 'undefined' || !Intl.PluralRules ) {
+    return ( type === 'cardinal' && number === 1 ) ? 'one' : 'other';
+  }
+  const key = `${locale}/${type}`;
+  if ( !pluralRulesCache[ key ] ) {
+    pluralRulesCache[ key ] = new Intl.PluralRules( locale, { type: type } );
+  }
+  return pluralRulesCache[ key ].select( number );
+}
+
+/**
+ * Finds the index of the curly brace that closes the curly brace at openIndex.
+ * @param {string} string
+ * @param {number} openIndex
+ * @returns {number} - -1 if there is no closing brace
+ */
+function findClosingBrace( string, openIndex ) {
+  let depth = 0;
+  for ( let i = openIndex; i < string.length; i++ ) {
+    if ( string[ i ] === '{' ) {
+      depth++;
+    }
+    else if ( string[ i ] === '}' && --depth === 0 ) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Parses a plural, selectordinal or select block, see fillInMessage.
+ * @param {string} message
+ * @param {number} startIndex - index of the block's opening curly brace
+ * @returns {{key:string, type:string, offset:number, branches:Object.<string,string>, endIndex:number}|null}
+ *   - null if there is not a well-formed block at startIndex. endIndex is the index after the closing curly brace.
+ */
+function parseBlock( message, startIndex ) {
+  const match = BLOCK_START_REGEX.exec( message.slice( startIndex ) );
+  if ( !match ) {
+    return null;
+  }
+  const block = { key: match[ 1 ], type: match[ 2 ], offset: 0, branches: {}, endIndex: -1 };
+
+  let index = startIndex + match[ 0 ].length;
+  while ( index < message.length ) {
+    const rest = message.slice( index );
+    const whitespace = /^\s*/.exec( rest )[ 0 ].length;
+    index += whitespace;
+    if ( message[ index ] === '}' ) {
+      block.endIndex = index + 1;
+      return block;
+    }
+
+    const offsetMatch = /^offset:\s*(\d+)/.exec( rest.slice( whitespace ) );
+    if ( offsetMatch && block.type === 'plural' ) {
+      block.offset = Number( offsetMatch[ 1 ] );
+      index += offsetMatch[ 0 ].length;
+      continue;
+    }
+
+    // selector, followed by the branch in curly braces
+    const selectorMatch = /^([^\s{}]+)\s*\{/.exec( rest.slice( whitespace ) );
+    if ( !selectorMatch ) {
+      return null;
+    }
+    const openIndex = index + selectorMatch[ 0 ].length - 1;
+    const closeIndex = findClosingBrace( message, openIndex );
+    if ( closeIndex === -1 ) {
+      return null;
+    }
+    block.branches[ selectorMatch[ 1 ] ] = message.slice( openIndex + 1, closeIndex );
+    index = closeIndex + 1;
+  }
+  return null;
+}
+
+/**
+ * Fills in the placeholders and blocks in a message, see fillInMessage.
+ * @param {string} message
+ * @param {Object} values
+ * @param {string} locale - BCP 47 language tag
+ * @param {number|null} pluralNumber - the number that '#' is replaced with, null if not in a plural block
+ * @returns {string}
+ */
+function formatMessage( message, values, locale, pluralNumber ) {
+  let result = '';
+  let index = 0;
+  while ( index < message.length ) {
+    if ( message.startsWith( '\\{{', index ) ) {
+      result += '{{';
+      index += 3;
+      continue;
+    }
+    if ( message[ index ] === '{' ) {
+
+      // placeholder, as in fillIn
+      const placeholderMatch = /^\{\{([^{}]+)\}\}/.exec( message.slice( index ) );
+      if ( placeholderMatch ) {
+        const value = getPlaceholderValue( placeholderMatch[ 1 ], values, locale );
+        result += ( value !== undefined ) ? value : placeholderMatch[ 0 ];
+        index += placeholderMatch[ 0 ].length;
+        continue;
+      }
+
+      const block = parseBlock( message, index );
+      if ( block ) {
+        result += formatBlock( block, values, locale, pluralNumber, message.slice( index, block.endIndex ) );
+        index = block.endIndex;
+        continue;
+      }
+    }
+
+    result += ( message[ index ] === '#' && pluralNumber !== null ) ?
+              StringUtils.formatNumber( pluralNumber, { locale: locale } ) : message[ index ];
+    index++;
+  }
+  return result;
+}
+
+/**
+ * Fills in a plural, selectordinal or select block, see fillInMessage.
+ * @param {Object} block - see parseBlock
+ * @param {Object} values
+ * @param {string} locale - BCP 47 language tag
+ * @param {number|null} pluralNumber - the number that '#' is replaced with, null if not in a plural block
+ * @param {string} blockString - the block, returned unchanged if there is no value for the block
+ * @returns {string}
+ */
+function formatBlock( block, values, locale, pluralNumber, blockString ) {
+  const value = values[ block.key ];
+  if ( value === undefined ) {
+    return blockString;
+  }
+  assert && assert( block.branches.other !== undefined, `block has no 'other' branch: ${blockString}` );
+
+  let branch;
+  if ( block.type === 'select' ) {
+    branch = block.branches[ `${value}` ];
+  }
+  else {
+    assert && assert( typeof value === 'number', `${block.key} must be a number: ${value}` );
+    pluralNumber = value - block.offset;
+    branch = block.branches[ `=${value}` ];
+    if ( branch === undefined ) {
+      const type = ( block.type === 'plural' ) ? 'cardinal' : 'ordinal';
+      branch = block.branches[ getPluralCategory( pluralNumber, locale, type ) ];
+    }
+  }
+  if ( branch === undefined ) {
+    branch = block.branches.other;
+  }
+  return ( branch === undefined ) ? blockString : formatMessage( branch, values, locale, pluralNumber );
+}
+
 phetcommon.register( 'StringUtils', StringUtils );
 
 export default StringUtils;
\ No newline at end of file
@@ -7,6 +7,7 @@
  * @author Sam Reid (PhET Interactive Simulations)
  */
 
+import Fraction from '../model/Fraction.js';
 import StringUtils from './StringUtils.js';
 
 QUnit.module( 'StringUtils' );
@@ -37,4 +38,360 @@ QUnit.test( 'fillIn', assert => {
   } ), 'Fred is 23 years old {really}', 'OK to use curly braces in the string' );
   assert.equal( StringUtils.fillIn( '{{value}} {{units}}', { units: 'm' } ),
     '{{value}} m', 'OK to omit a placeholder value' );
-} );
\ No newline at end of file
+} );
+
+QUnit.test( 'fillInMessage', assert => {
+
+  const electrons = '{count, plural, =0 {no electrons} one {# electron} other {# electrons}}';
+  assert.equal( StringUtils.fillInMessage( electrons, { count: 0 } ), 'no electrons', 'exact match' );
+  assert.equal( StringUtils.fillInMessage( electrons, { count: 1 } ), '1 electron', 'one' );
+  assert.equal( StringUtils.fillInMessage( electrons, { count: 3 } ), '3 electrons', 'other' );
+  assert.equal( StringUtils.fillInMessage( `{{name}} has ${electrons}`, { name: 'Fred', count: 3 } ),
+    'Fred has 3 electrons', 'placeholder and block' );
+  assert.equal( StringUtils.fillInMessage( electrons, { name: 'Fred' } ), electrons, 'missing value' );
+  assert.equal( StringUtils.fillInMessage( '{{value}} {{units}} {really} #', { units: 'm' } ),
+    '{{value}} m {really} #', 'same as fillIn' );
+
+  // select, and nested blocks
+  const book = '{gender, select, female {her {count, plural, one {book} other {# books}}} ' +
+               'male {his {count, plural, one {book} other {# books}}} other {their books}}';
+  assert.equal( StringUtils.fillInMessage( book, { gender: 'female', count: 1 } ), 'her book', 'select female' );
+  assert.equal( StringUtils.fillInMessage( book, { gender: 'male', count: 2 } ), 'his 2 books', 'select male' );
+  assert.equal( StringUtils.fillInMessage( book, { gender: 'x', count: 2 } ), 'their books', 'select other' );
+  assert.equal( StringUtils.fillInMessage( '{count, plural, one {{{name}} has # item} other {{{name}} has # items}}',
+    { name: 'Ann', count: 2 } ), 'Ann has 2 items', 'placeholder in a branch' );
+
+  // offset
+  const others = '{count, plural, offset:1 =0 {nobody} =1 {{{name}}} one {{{name}} and # other} ' +
+                 'other {{{name}} and # others}}';
+  assert.equal( StringUtils.fillInMessage( others, { name: 'Ann', count: 1 } ), 'Ann', 'offset exact' );
+  assert.equal( StringUtils.fillInMessage( others, { name: 'Ann', count: 2 } ), 'Ann and 1 other', 'offset one' );
+  assert.equal( StringUtils.fillInMessage( others, { name: 'Ann', count: 5 } ), 'Ann and 4 others', 'offset other' );
+
+  // selectordinal
+  const place = '{place, selectordinal, one {#st} two {#nd} few {#rd} other {#th}}';
+  assert.deepEqual( [ 1, 2, 3, 4, 11, 21, 22, 113 ].map( n => StringUtils.fillInMessage( place, { place: n } ) ),
+    [ '1st', '2nd', '3rd', '4th', '11th', '21st', '22nd', '113th' ], 'en ordinals' );
+
+  window.assert && assert.throws( () => StringUtils.fillInMessage( '{count, plural, one {# item}}', { count: 1 } ),
+    'no other branch' );
+} );
+
+QUnit.test( 'fillInMessage locales', assert => {
+  const fill = ( locale, template, count ) => StringUtils.fillInMessage( template, { count: count }, { locale: locale } );
+
+  // French: 0 and 1 are 'one'
+  const fr = '{count, plural, one {# électron} other {# électrons}}';
+  assert.deepEqual( [ 0, 1, 2 ].map( n => fill( 'fr', fr, n ) ), [ '0 électron', '1 électron', '2 électrons' ], 'fr' );
+
+  // Russian: one (1, 21), few (2-4, 22-24), many (0, 5-20)
+  const ru = '{count, plural, one {# электрон} few {# электрона} many {# электронов} other {# электрона}}';
+  assert.deepEqual( [ 1, 3, 5, 21, 22, 0 ].map( n => fill( 'ru', ru, n ) ),
+    [ '1 электрон', '3 электрона', '5 электронов', '21 электрон', '22 электрона', '0 электронов' ], 'ru' );
+
+  // Arabic: zero, one, two, few (3-10), many (11-99), other (100)
+  const ar = '{count, plural, zero {zero} one {one} two {two} few {few} many {many} other {other}}';
+  assert.deepEqual( [ 0, 1, 2, 3, 11, 100 ].map( n => fill( 'ar', ar, n ) ),
+    [ 'zero', 'one', 'two', 'few', 'many', 'other' ], 'ar' );
+
+  // Japanese: only 'other'
+  const ja = '{count, plural, one {one} other {# 個}}';
+  assert.deepEqual( [ 1, 2 ].map( n => fill( 'ja', ja, n ) ), [ '1 個', '2 個' ], 'ja' );
+
+  // PhET locale format
+  assert.equal( fill( 'pt_BR', '{count, plural, one {# elétron} other {# elétrons}}', 0 ), '0 elétron', 'pt_BR' );
+} );
+
+QUnit.test( 'fillIn strict', assert => {
+  assert.deepEqual( StringUtils.getFillInProblems( '{{name}} is {{age}} years old', { name: 'Fred', age: 23 } ), [],
+    'no problems' );
+  assert.deepEqual( StringUtils.getFillInProblems( '{{name}} is {{age}} years old', { name: 'Fred', height: 60 } ),
+    [ 'missing value for placeholder: {{age}}', 'unused value: height' ], 'missing and unused' );
+  assert.deepEqual( StringUtils.getFillInProblems( '{{ name }} is {age} years old {really}', { name: 'Fred', age: 23 } ),
+    [ 'malformed placeholder: {{ name }}', 'malformed placeholder: {age}', 'unused value: name', 'unused value: age' ],
+    'malformed' );
+  assert.deepEqual( StringUtils.getFillInProblems( '{{name} and {{age', {} ),
+    [ 'malformed placeholder: {{name}', 'malformed placeholder: {{age' ], 'unclosed' );
+
+  assert.equal( StringUtils.fillIn( '{{name}} is smart', { name: 'Fred' }, { strict: true } ), 'Fred is smart',
+    'strict' );
+  assert.throws( () => StringUtils.fillIn( '{{value}} {{units}}', { units: 'm' }, { strict: true } ),
+    'strict missing value' );
+  assert.throws( () => StringUtils.fillIn( '{{name}}', { name: 'Fred', age: 23 }, { strict: true } ),
+    'strict unused value' );
+  if ( window.assert ) {
+    assert.throws( () => StringUtils.assertContainsKey( 'Hello {{name}}', 'meanName' ), 'assertContainsKey' );
+  }
+} );
+
+QUnit.test( 'lintTemplate', assert => {
+  const source = '{{name}} is {{age}} years old';
+  assert.deepEqual( StringUtils.lintTemplate( '{{name}} a {{age}} ans', source ), [], 'no problems' );
+  assert.deepEqual( StringUtils.lintTemplate( '{{age}} ans, {{name}}', source ), [], 'order does not matter' );
+  assert.deepEqual( StringUtils.lintTemplate( '{{ nom }} a {{age}} ans', source ),
+    [ 'malformed placeholder: {{ nom }}', 'missing placeholder: name' ], 'malformed and missing' );
+  assert.deepEqual( StringUtils.lintTemplate( '{name} a {{age}} ans {{height}}', source ),
+    [ 'malformed placeholder: {name}', 'missing placeholder: name', 'unexpected placeholder: height' ],
+    'single braces and unexpected' );
+
+  const message = '{count, plural, one {{{name}} has # electron} other {{{name}} has # electrons}}';
+  assert.deepEqual( StringUtils.lintTemplate( '{count, plural, one {{{name}} a # électron} other {{{name}} a # électrons}}',
+    message ), [], 'fillInMessage blocks' );
+  assert.deepEqual( StringUtils.lintTemplate( '{{name}} a {{count}} électrons', message ), [],
+    'blocks and placeholders are both names' );
+  assert.deepEqual( StringUtils.lintTemplate( '{{name}} a des électrons', message ), [ 'missing placeholder: count' ],
+    'missing block' );
+} );
+
+// Browsers differ in which space they use for grouping and before units, e.g. a no-break space or a narrow no-break
+// space in French, so compare with normal spaces.
+const normalizeSpaces = string => string.replace( /[\u00a0\u202f]/g, ' ' );
+
+QUnit.test( 'formatNumber', assert => {
+  assert.equal( StringUtils.formatNumber( 1234.5, { locale: 'en' } ), '1,234.5', 'en' );
+  assert.equal( StringUtils.formatNumber( 1234.5, { locale: 'en', decimalPlaces: 2 } ), '1,234.50', 'decimalPlaces' );
+  assert.equal( StringUtils.formatNumber( 1234.5, { locale: 'en', useGrouping: false } ), '1234.5', 'useGrouping' );
+  assert.equal( StringUtils.formatNumber( 1234.5, { locale: 'de', decimalPlaces: 2 } ), '1.234,50', 'de' );
+  assert.equal( normalizeSpaces( StringUtils.formatNumber( 1234.5, { locale: 'fr', decimalPlaces: 2 } ) ), '1 234,50',
+    'fr' );
+  assert.equal( StringUtils.formatNumber( 1234.5, { locale: 'pt_BR' } ), '1.234,5', 'pt_BR' );
+  assert.equal( StringUtils.formatNumber( 0.012345, { locale: 'en', significantFigures: 3 } ), '0.0123',
+    'significantFigures' );
+
+  assert.equal( StringUtils.formatNumber( 0.375, { locale: 'en', style: 'percent', decimalPlaces: 1 } ), '37.5%',
+    'en percent' );
+  const frenchPercent = StringUtils.formatNumber( 0.375, { locale: 'fr', style: 'percent', decimalPlaces: 1 } );
+  assert.equal( normalizeSpaces( frenchPercent ), '37,5 %', 'fr percent' );
+  assert.equal( StringUtils.formatNumber( 12345, { locale: 'en', style: 'scientific', significantFigures: 3 } ),
+    '1.23E4', 'en scientific' );
+  assert.equal( StringUtils.formatNumber( 0.000123, { locale: 'de', style: 'scientific', significantFigures: 3 } ),
+    '1,23E-4', 'de scientific' );
+
+  assert.equal( StringUtils.formatNumber( 1234.5, { locale: 'ar', numberingSystem: 'arab' } ), '١٬٢٣٤٫٥',
+    'Arabic-Indic digits' );
+  assert.equal( StringUtils.formatNumber( 1234.5, { locale: 'fa' } ), '۱٬۲۳۴٫۵', 'Persian digits' );
+  assert.equal( StringUtils.formatNumber( 42, { locale: 'en', numberingSystem: 'arabext' } ), '۴۲', 'numberingSystem' );
+} );
+
+QUnit.test( 'formatUnit', assert => {
+  assert.equal( StringUtils.formatUnit( 2.5, 'meter', { locale: 'en' } ), '2.5 m', 'short' );
+  assert.equal( StringUtils.formatUnit( 2.5, 'meter', { locale: 'en', unitDisplay: 'long' } ), '2.5 meters', 'long' );
+  assert.equal( StringUtils.formatUnit( 1, 'meter', { locale: 'en', unitDisplay: 'long' } ), '1 meter', 'singular' );
+  assert.equal( normalizeSpaces( StringUtils.formatUnit( 2.5, 'meter', { locale: 'fr', unitDisplay: 'long' } ) ),
+    '2,5 mètres', 'fr' );
+  assert.equal( StringUtils.formatUnit( 60, 'kilometer-per-hour', { locale: 'en', decimalPlaces: 1 } ), '60.0 km/h',
+    'compound unit' );
+  assert.equal( StringUtils.formatUnit( 1234.5, 'newton', { locale: 'de' } ), '1.234,5 newton', 'unsupported unit' );
+} );
+
+QUnit.test( 'formatList', assert => {
+  assert.equal( StringUtils.formatList( [ 'a', 'b', 'c' ], { locale: 'en' } ), 'a, b, and c', 'en' );
+  assert.equal( StringUtils.formatList( [ 'a', 'b' ], { locale: 'en' } ), 'a and b', 'en 2 items' );
+  assert.equal( StringUtils.formatList( [ 'a' ], { locale: 'en' } ), 'a', 'en 1 item' );
+  assert.equal( StringUtils.formatList( [], { locale: 'en' } ), '', 'en no items' );
+  assert.equal( StringUtils.formatList( [ 'a', 'b', 'c' ], { locale: 'en', type: 'disjunction' } ), 'a, b, or c',
+    'en disjunction' );
+  assert.equal( StringUtils.formatList( [ 'a', 'b', 'c' ], { locale: 'es' } ), 'a, b y c', 'es' );
+  assert.equal( StringUtils.formatList( [ 'a', 'b', 'c' ], { locale: 'es', type: 'disjunction' } ), 'a, b o c',
+    'es disjunction' );
+  assert.equal( StringUtils.formatList( [ 'a', 'b', 'c' ], { locale: 'de' } ), 'a, b und c', 'de' );
+} );
+
+QUnit.test( 'fillInMessage number formatting', assert => {
+  const message = '{count, plural, one {# atom} other {# atoms}}';
+  assert.equal( StringUtils.fillInMessage( message, { count: 1000 }, { locale: 'en' } ), '1,000 atoms', 'en' );
+  assert.equal( StringUtils.fillInMessage( message, { count: 1000 }, { locale: 'de' } ), '1.000 atoms', 'de' );
+} );
+
+// Registered once, since the registry is global, and registering a formatter twice is an assertion failure
+StringUtils.registerFillInFormatter( 'reversedForTest',
+  ( value, args ) => `${value}`.split( '' ).reverse().join( '' ) + args.join( '' ) );
+
+QUnit.test( 'fillIn paths and formatters', assert => {
+  const atom = { name: 'neon', mass: 20.1797, nucleus: { protons: 10 } };
+  assert.equal( StringUtils.fillIn( '{{atom.name}} has {{atom.nucleus.protons}} protons', { atom: atom } ),
+    'neon has 10 protons', 'dotted paths' );
+  assert.equal( StringUtils.fillIn( '{{atom.charge}} {{element.name}}', { atom: atom } ), '{{atom.charge}} {{element.name}}',
+    'missing paths are left' );
+  assert.equal( StringUtils.fillIn( '{{atom.name|capitalize}} {{atom.name|uppercase}}', { atom: atom } ), 'Neon NEON',
+    'capitalize and uppercase' );
+  assert.equal( StringUtils.fillIn( '{{name|uppercase}}', { name: 'istanbul' }, { locale: 'tr' } ), 'İSTANBUL',
+    'uppercase for the locale' );
+  assert.equal( StringUtils.fillIn( '{{mass|number:2}} g/mol', { mass: 1234.5 } ), '1,234.50 g/mol', 'number' );
+  assert.equal( StringUtils.fillIn( '{{mass|number:1}} g/mol', { mass: 1234.56 }, { locale: 'de' } ), '1.234,6 g/mol',
+    'number for the locale' );
+  assert.equal( StringUtils.fillIn( '{{atom.mass|number}}', { atom: atom } ), '20.18', 'number without decimal places' );
+  assert.equal( StringUtils.fillIn( '{{name|capitalize|uppercase}}', { name: 'neon' } ), 'NEON', 'chained' );
+  assert.equal( StringUtils.fillIn( '{{name|capitalize}}', { name: '' } ), '', 'capitalize empty' );
+
+  assert.equal( StringUtils.fillIn( '{{a.b}} {{c|d}}', { 'a.b': 1, 'c|d': 2, a: { b: 3 } } ), '1 2',
+    'exact keys take precedence' );
+  assert.equal( StringUtils.fillIn( '{{value}} costs $&', { value: '$1' } ), '$1 costs $&', 'no replacement patterns' );
+  assert.equal( StringUtils.fillIn( '{{a}} {{b}}', { a: '{{b}}', b: 'B' } ), '{{b}} B', 'values are not filled in' );
+
+  assert.equal( StringUtils.fillIn( '{{name|reversedForTest:!:?}}', { name: 'Fred' } ), 'derF!?', 'custom formatter' );
+  if ( window.assert ) {
+    assert.throws( () => StringUtils.registerFillInFormatter( 'reversedForTest', _.identity ), 'duplicate formatter' );
+    assert.throws( () => StringUtils.registerFillInFormatter( 'bad name', _.identity ), 'invalid formatter name' );
+    assert.throws( () => StringUtils.fillIn( '{{name|unknown}}', { name: 'Fred' } ), 'unknown formatter' );
+    assert.throws( () => StringUtils.fillIn( '{{name|number}}', { name: 'Fred' } ), 'number formatter requires a number' );
+  }
+
+  // fraction is built in, so it works without loading Fraction, for any object with the Fraction formatting API
+  const fraction = {
+    reduced: () => fraction,
+    toString: () => '3/2',
+    toMixedNumberString: options => options.unicode ? '1 ½' : '1 1/2',
+    toUnicodeString: () => '³⁄₂'
+  };
+  assert.equal( StringUtils.fillIn( '{{f|fraction}} {{f|fraction:mixed}} {{f|fraction:unicode}}', { f: fraction } ),
+    '3/2 1 1/2 ³⁄₂', 'fraction' );
+
+  assert.equal( StringUtils.fillInMessage( '{{atom.name|capitalize}} has {count, plural, one {# proton} other {# protons}}',
+    { atom: atom, count: 10 } ), 'Neon has 10 protons', 'fillInMessage' );
+} );
+
+QUnit.test( 'fillIn fraction formatter', assert => {
+  const fraction = new Fraction( 6, 4 );
+  assert.equal( StringUtils.fillIn( '{{fraction|fraction}}', { fraction: fraction } ), '6/4', 'default' );
+  assert.equal( StringUtils.fillIn( '{{fraction|fraction:reduced}}', { fraction: fraction } ), '3/2', 'reduced' );
+  assert.equal( StringUtils.fillIn( '{{fraction|fraction:mixed}}', { fraction: fraction } ), '1 2/4', 'mixed' );
+  assert.equal( StringUtils.fillIn( '{{fraction|fraction:reduced:mixed}}', { fraction: fraction } ), '1 1/2',
+    'reduced mixed' );
+  assert.equal( StringUtils.fillIn( '{{fraction|fraction:unicode}}', { fraction: new Fraction( 3, 4 ) } ), '¾',
+    'unicode' );
+  assert.equal( StringUtils.fillIn( '{{fraction|fraction:mixed:unicode}}', { fraction: new Fraction( 11, 4 ) } ), '2 ¾',
+    'mixed unicode' );
+  assert.equal( fraction.toString(), '6/4', 'fraction is not changed' );
+  assert.deepEqual( StringUtils.getFillInProblems( '{{f|fraction:reduced}}', { f: fraction } ), [], 'registered' );
+} );
+
+QUnit.test( 'fillIn escaping', assert => {
+  assert.equal( StringUtils.fillIn( '\\{{name}} is {{name}}', { name: 'Fred' } ), '{{name}} is Fred', 'escaped' );
+  assert.equal( StringUtils.fillIn( 'use \\{{ and }}', {} ), 'use {{ and }}', 'escaped without placeholder' );
+  assert.equal( StringUtils.fillIn( '\\{{{name}}}', { name: 'Fred' } ), '{{{name}}}', 'escaped before braces' );
+  assert.equal( StringUtils.fillInMessage( '\\{{name}} {count, plural, one {\\{{#}} item} other {\\{{#}} items}}',
+    { name: 'Fred', count: 2 } ), '{{name}} {{2}} items', 'fillInMessage' );
+
+  assert.deepEqual( StringUtils.getFillInProblems( '\\{{name}} is {{age}}', { age: 23 } ), [], 'not a placeholder' );
+  assert.deepEqual( StringUtils.getFillInProblems( '\\{{ name }}', {} ), [], 'not malformed' );
+  assert.deepEqual( StringUtils.lintTemplate( '\\{{name}} {{age}}', '{{age}}' ), [], 'not linted' );
+} );
+
+QUnit.test( 'fillIn strict with paths and formatters', assert => {
+  const values = { atom: { name: 'neon', mass: 20.1797 }, count: 3 };
+  assert.deepEqual( StringUtils.getFillInProblems( '{{atom.name|capitalize}} {{atom.mass|number:2}} {{count}}', values ),
+    [], 'no problems' );
+  assert.deepEqual( StringUtils.getFillInProblems( '{{atom.charge}} {{count|bogus:1}}', values ), [
+    'missing value for placeholder: {{atom.charge}}',
+    'unknown formatter in placeholder {{count|bogus:1}}: bogus'
+  ], 'missing path and unknown formatter' );
+  assert.deepEqual( StringUtils.getFillInProblems( '{{atom.name}}', values ), [ 'unused value: count' ],
+    'values used by paths' );
+  assert.deepEqual( StringUtils.getFillInProblems( '{{a.b}}', { 'a.b': 1 } ), [], 'exact key' );
+
+  assert.equal( StringUtils.fillIn( '{{atom.mass|number:1}} x {{count}}', values, { strict: true, locale: 'en' } ),
+    '20.2 x 3', 'strict' );
+
+  const source = 'The mass of {{atom.name}} is {{atom.mass|number:2}}';
+  assert.deepEqual( StringUtils.lintTemplate( 'La masse du {{atom.name}} est {{atom.mass|number:1}}', source ), [],
+    'formatters may differ' );
+  assert.deepEqual( StringUtils.lintTemplate( 'La masse du {{atom.name|bogus}} est {{atom.mass}}', source ),
+    [ 'unknown formatter in placeholder {{atom.name|bogus}}: bogus' ], 'unknown formatter' );
+  assert.deepEqual( StringUtils.lintTemplate( 'La masse est {{atom.mass}}', source ),
+    [ 'missing placeholder: atom.name' ], 'missing path' );
+} );
+
+QUnit.test( 'embeddedSlice and embeddedSplit', assert => {
+  const debug = StringUtils.embeddedDebugString;
+  const string = '\u202afirst\u202bsecond\u202cthird\u202c';
+  assert.equal( debug( StringUtils.embeddedSlice( string, 0, 6 ) ), '[LTR]first[POP]', 'first word' );
+  assert.equal( debug( StringUtils.embeddedSlice( string, 6, 14 ) ), '[RTL]second[POP]', 'second word' );
+  assert.equal( debug( StringUtils.embeddedSlice( string, 3, -3 ) ), '[LTR]rst[RTL]second[POP]thi[POP]', 'range' );
+
+  const isolated = '\u2067first\u202dsecond\u202cthird\u2068fourth\u2069\u2069';
+  assert.equal( debug( StringUtils.embeddedSlice( isolated, 6, 13 ) ), '[LRO]second[POP]', 'override' );
+  assert.equal( debug( StringUtils.embeddedSlice( isolated, 3, 16 ) ), '[RLI]rst[LRO]second[POP]th[PDI]',
+    'isolate and override' );
+  assert.equal( debug( StringUtils.embeddedSlice( isolated, 20, 26 ) ), '[FSI]fourth[PDI]', 'nested isolate' );
+  assert.equal( debug( StringUtils.embeddedSlice( isolated, 16, 23 ) ), '[RLI]ird[FSI]fou[PDI][PDI]',
+    'closed innermost first' );
+  assert.equal( debug( StringUtils.embeddedSlice( '\u2066a\u202bb\u2069c', 2, 6 ) ), '[LRI][RTL]b[PDI]c',
+    'PDI closes embeddings in the isolate' );
+
+  assert.deepEqual( StringUtils.embeddedSplit( '\u202aHello  there, \u202bHow are you\u202c doing?\u202c', / +/ )
+    .map( debug ), [ '[LTR]Hello[POP]', '[LTR]there,[POP]', '[RTL]How[POP]', '[RTL]are[POP]', '[RTL]you[POP]',
+    '[LTR]doing?[POP]' ], 'embeddedSplit with RegExp' );
+  assert.deepEqual( StringUtils.embeddedSplit( '\u2067a,b\u2069', ',' ).map( debug ), [ '[RLI]a[PDI]', '[RLI]b[PDI]' ],
+    'embeddedSplit with isolate' );
+  assert.deepEqual( StringUtils.embeddedSplit( 'a,b,c', ',', 2 ), [ 'a', 'b' ], 'embeddedSplit limit' );
+} );
+
+QUnit.test( 'getTextDirection, isolate, override', assert => {
+  assert.equal( StringUtils.getTextDirection( 'hello' ), 'ltr', 'English' );
+  assert.equal( StringUtils.getTextDirection( '3 שלום' ), 'rtl', 'Hebrew' );
+  assert.equal( StringUtils.getTextDirection( '(مرحبا) hello' ), 'rtl', 'Arabic first' );
+  assert.equal( StringUtils.getTextDirection( '١٢٣ hello' ), 'ltr', 'Arabic-Indic digits are not strong' );
+  assert.equal( StringUtils.getTextDirection( '3.14 %' ), null, 'no strong characters' );
+  assert.equal( StringUtils.getTextDirection( '' ), null, 'empty' );
+  assert.equal( StringUtils.getTextDirection( '\u2067שלום\u2069 hello' ), 'ltr', 'isolates are skipped' );
+  assert.equal( StringUtils.getTextDirection( '\u200f3' ), 'rtl', 'RLM' );
+  assert.equal( StringUtils.getTextDirection( '你好' ), 'ltr', 'Chinese' );
+
+  const debug = StringUtils.embeddedDebugString;
+  assert.equal( debug( StringUtils.isolate( 'hello' ) ), '[LRI]hello[PDI]', 'detected ltr' );
+  assert.equal( debug( StringUtils.isolate( 'שלום' ) ), '[RLI]שלום[PDI]', 'detected rtl' );
+  assert.equal( debug( StringUtils.isolate( '42' ) ), '[FSI]42[PDI]', 'no direction' );
+  assert.equal( debug( StringUtils.isolate( 'hello', 'rtl' ) ), '[RLI]hello[PDI]', 'direction' );
+  assert.equal( debug( StringUtils.isolate( 'hello', null ) ), '[FSI]hello[PDI]', 'first strong' );
+  assert.equal( debug( StringUtils.override( 'AB12', 'rtl' ) ), '[RLO]AB12[POP]', 'override' );
+
+  const values = { name: 'Fred', city: 'תל אביב', age: 23 };
+  assert.equal( debug( StringUtils.fillIn( '{{name}} גר ב{{city}} ({{age}})', values, { isolateValues: true } ) ),
+    '[LRI]Fred[PDI] גר ב[RLI]תל אביב[PDI] ([FSI]23[PDI])', 'fillIn isolateValues' );
+  assert.equal( StringUtils.fillIn( '{{name}}', { name: 'Fred' } ), 'Fred', 'not isolated by default' );
+
+  [ '\u202a', '\u202b', '\u202c', '\u202d', '\u202e', '\u2066', '\u2067', '\u2068', '\u2069' ].forEach( mark => {
+    assert.ok( StringUtils.isEmbeddingMark( mark ), `isEmbeddingMark ${debug( mark )}` );
+  } );
+  assert.notOk( StringUtils.isEmbeddingMark( 'a' ), 'isEmbeddingMark a' );
+} );
+
+QUnit.test( 'embeddedLength, embeddedSubstring, embeddedTrim, embeddedReplace', assert => {
+  const debug = StringUtils.embeddedDebugString;
+  const string = '\u202ahello \u2067שלום\u2069\u202c';
+  assert.equal( StringUtils.embeddedLength( string ), 10, 'embeddedLength' );
+  assert.equal( StringUtils.embeddedLength( 'plain' ), 5, 'embeddedLength without marks' );
+
+  assert.equal( debug( StringUtils.embeddedSubstring( string, 6 ) ), '[RLI]שלום[PDI]', 'embeddedSubstring' );
+  assert.equal( debug( StringUtils.embeddedSubstring( string, 4, 7 ) ), '[LTR]o [RLI]ש[PDI][POP]', 'spanning marks' );
+  assert.equal( debug( StringUtils.embeddedSubstring( string, 7, 4 ) ), '[LTR]o [RLI]ש[PDI][POP]', 'swapped' );
+  assert.equal( StringUtils.embeddedSubstring( string, 3, 3 ), '', 'empty' );
+  assert.equal( StringUtils.embeddedSubstring( 'hello', -1, 100 ), 'hello', 'clamped' );
+
+  assert.equal( debug( StringUtils.embeddedTrim( '\u202b  hello \u2067 world\u2069  \u202c ' ) ),
+    '[RTL]hello [RLI] world[PDI][POP]', 'embeddedTrim' );
+  assert.equal( StringUtils.embeddedTrim( '  hello  ' ), 'hello', 'embeddedTrim without marks' );
+  assert.equal( StringUtils.embeddedTrim( ' \u2067 \u2069 ' ), '', 'embeddedTrim only whitespace' );
+
+  assert.equal( debug( StringUtils.embeddedReplace( 'ab\u202bcd\u202c', /bc/, 'X' ) ), 'aX[RTL]d[POP]',
+    'embeddedReplace across marks' );
+  assert.equal( debug( StringUtils.embeddedReplace( '\u2066a-b\u2069-c', /-/g, '+' ) ), '[LRI]a+b[PDI]+c', 'global' );
+  assert.equal( StringUtils.embeddedReplace( 'a-b-c', '-', '$&' ), 'a$&b-c', 'string pattern and literal replacement' );
+  assert.equal( StringUtils.embeddedReplace( 'a1b22', /(\d+)/g, ( match, digits ) => `[${digits.length}]` ), 'a[1]b[2]',
+    'function replacement' );
+  assert.equal( StringUtils.embeddedReplace( 'ab', /$/, '!' ), 'ab!', 'zero-length match' );
+} );
+
+QUnit.test( 'getEmbeddingMarkProblems', assert => {
+  assert.deepEqual( StringUtils.getEmbeddingMarkProblems( 'plain' ), [], 'no marks' );
+  assert.deepEqual( StringUtils.getEmbeddingMarkProblems( '\u202aa\u2067b\u202dc\u202c\u2069\u202c' ), [], 'balanced' );
+  assert.deepEqual( StringUtils.getEmbeddingMarkProblems( '\u202ahello\u2067world' ),
+    [ 'unclosed [LTR] at index 0', 'unclosed [RLI] at index 6' ], 'unclosed' );
+  assert.deepEqual( StringUtils.getEmbeddingMarkProblems( 'a\u202cb\u2069' ),
+    [ 'unmatched [POP] at index 1', 'unmatched [PDI] at index 3' ], 'unmatched' );
+  assert.deepEqual( StringUtils.getEmbeddingMarkProblems( '\u2066a\u202bb\u2069' ),
+    [ '[RTL] at index 2 is not closed before [PDI] at index 4' ], 'embedding not closed in isolate' );
+  assert.deepEqual( StringUtils.getEmbeddingMarkProblems( '\u2066a\u202c\u2069' ), [ 'unmatched [POP] at index 2' ],
+    'POP does not close an isolate' );
+} );
@@ -0,0 +1,168 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * Maps between a range of Fraction values on a number line and view coordinates, via a ModelViewTransform2.
+ * Model values are exact Fractions, and floating-point values are used only at the view boundary. Positions can be
+ * snapped to the nearest fraction with a chosen denominator (or set of denominators), e.g. while dragging a point
+ * along a number line.
+ *
+ * The number line may be horizontal or vertical: use the X methods for a horizontal number line, whose model values
+ * are x coordinates, and the Y methods for a vertical number line, whose model values are y coordinates.
+ */
+
+import Utils from '../../../dot/js/Utils.js';
+import Fraction from '../model/Fraction.js';
+import phetcommon from '../phetcommon.js';
+import ModelViewTransform2 from './ModelViewTransform2.js';
+
+class FractionNumberLine {
+
+  /**
+   * @param {Fraction} min - the smallest value on the number line
+   * @param {Fraction} max - the largest value on the number line, must be > min
+   * @param {ModelViewTransform2} modelViewTransform
+   */
+  constructor( min, max, modelViewTransform ) {
+    assert && assert( min instanceof Fraction && max instanceof Fraction, 'min and max must be Fractions' );
+    assert && assert( min.isLessThan( max ), `min ${min} must be < max ${max}` );
+    assert && assert( modelViewTransform instanceof ModelViewTransform2, 'invalid modelViewTransform' );
+
+    // @public (read-only) frozen copies, so that the range can't be changed by mutating the arguments
+    this.min = min.reduced().freeze();
+    this.max = max.reduced().freeze();
+
+    // @public (read-only)
+    this.modelViewTransform = modelViewTransform;
+  }
+
+  /**
+   * Gets the proportion of the distance from min to max for a fraction, i.e. maps the number line's range to the
+   * unit interval [0,1]. Fractions outside of the range map to values outside of [0,1].
+   * @param {Fraction} fraction
+   * @returns {Fraction} - exact, reduced
+   * @public
+   */
+  getProportion( fraction ) {
+    return fraction.minus( this.min ).divide( this.max.minus( this.min ) ).reduce();
+  }
+
+  /**
+   * Gets the fraction that is a proportion of the distance from min to max, i.e. maps the unit interval [0,1] to the
+   * number line's range. This is the inverse of getProportion.
+   * @param {Fraction} proportion
+   * @returns {Fraction} - exact, reduced
+   * @public
+   */
+  fromProportion( proportion ) {
+    return this.min.plus( this.max.minus( this.min ).multiply( proportion ) ).reduce();
+  }
+
+  /**
+   * Is the fraction within the number line's range, including min and max?
+   * @param {Fraction} fraction
+   * @returns {boolean}
+   * @public
+   */
+  contains( fraction ) {
+    return fraction.isGreaterThanOrEqualTo( this.min ) && fraction.isLessThanOrEqualTo( this.max );
+  }
+
+  /**
+   * Converts a fraction to a view x coordinate, for a horizontal number line.
+   * @param {Fraction} fraction
+   * @returns {number}
+   * @public
+   */
+  fractionToViewX( fraction ) {
+    return this.modelViewTransform.modelToViewX( fraction.getValue() );
+  }
+
+  /**
+   * Converts a fraction to a view y coordinate, for a vertical number line.
+   * @param {Fraction} fraction
+   * @returns {number}
+   * @public
+   */
+  fractionToViewY( fraction ) {
+    return this.modelViewTransform.modelToViewY( fraction.getValue() );
+  }
+
+  /**
+   * Snaps a model position to the nearest fraction within the number line's range whose denominator is one of the
+   * provided denominators. If more than one fraction is nearest, the one whose denominator is first in denominators
+   * is chosen. The result has the denominator that was chosen, and is not reduced, e.g. 0.49 snapped to
+   * denominator 4 is 2/4.
+   * @param {number} position - model position, e.g. a model x coordinate for a horizontal number line
+   * @param {number|number[]} denominators - positive integer, or array of positive integers in order of preference
+   * @returns {Fraction}
+   * @public
+   */
+  snapModelPosition( position, denominators ) {
+    assert && assert( isFinite( position ), `invalid position: ${position}` );
+    denominators = Array.isArray( denominators ) ? denominators : [ denominators ];
+    assert && assert( denominators.length > 0, 'at least 1 denominator is required' );
+
+    let nearest = null;
+    let nearestDistance = Number.POSITIVE_INFINITY;
+    denominators.forEach( denominator => {
+      assert && assert( Number.isInteger( denominator ) && denominator > 0, `invalid denominator: ${denominator}` );
+
+      // The numerators of fractions within the range, for this denominator. The range may contain no such fractions.
+      const minNumerator = this.min.ceiled( denominator ).numerator;
+      const maxNumerator = this.max.floored( denominator ).numerator;
+      if ( minNumerator <= maxNumerator ) {
+        const numerator = Utils.clamp( Utils.roundSymmetric( position * denominator ), minNumerator, maxNumerator );
+        const distance = Math.abs( position - numerator / denominator );
+        if ( distance < nearestDistance ) {
+          nearest = new Fraction( numerator, denominator );
+          nearestDistance = distance;
+        }
+      }
+    } );
+    assert && assert( nearest,
+      `no fractions with denominators ${denominators} are in the range ${this.min} to ${this.max}` );
+    return nearest;
+  }
+
+  /**
+   * Snaps a view x coordinate to the nearest fraction, for a horizontal number line. See snapModelPosition.
+   * @param {number} viewX
+   * @param {number|number[]} denominators - positive integer, or array of positive integers in order of preference
+   * @returns {Fraction}
+   * @public
+   */
+  snapViewX( viewX, denominators ) {
+    return this.snapModelPosition( this.modelViewTransform.viewToModelX( viewX ), denominators );
+  }
+
+  /**
+   * Snaps a view y coordinate to the nearest fraction, for a vertical number line. See snapModelPosition.
+   * @param {number} viewY
+   * @param {number|number[]} denominators - positive integer, or array of positive integers in order of preference
+   * @returns {Fraction}
+   * @public
+   */
+  snapViewY( viewY, denominators ) {
+    return this.snapModelPosition( this.modelViewTransform.viewToModelY( viewY ), denominators );
+  }
+
+  /**
+   * Gets the fractions with a denominator that are within the number line's range, in increasing order,
+   * e.g. for tick marks. The fractions have the provided denominator and are not reduced.
+   * @param {number} denominator - positive integer
+   * @returns {Fraction[]}
+   * @public
+   */
+  getFractionsWithDenominator( denominator ) {
+    assert && assert( Number.isInteger( denominator ) && denominator > 0, `invalid denominator: ${denominator}` );
+    const fractions = [];
+    const maxNumerator = this.max.floored( denominator ).numerator;
+    for ( let numerator = this.min.ceiled( denominator ).numerator; numerator <= maxNumerator; numerator++ ) {
+      fractions.push( new Fraction( numerator, denominator ) );
+    }
+    return fractions;
+  }
+}
+
+phetcommon.register( 'FractionNumberLine', FractionNumberLine );
+export default FractionNumberLine;
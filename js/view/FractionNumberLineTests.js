@@ -0,0 +1,55 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * FractionNumberLine tests
+ */
+
+import Vector2 from '../../../dot/js/Vector2.js';
+import Fraction from '../model/Fraction.js';
+import FractionNumberLine from './FractionNumberLine.js';
+import ModelViewTransform2 from './ModelViewTransform2.js';
+
+QUnit.module( 'FractionNumberLine' );
+
+// 0 to 2, with 1 model unit = 100 view units, and model 0 at view (50,300). y is inverted.
+const createNumberLine = () => new FractionNumberLine( Fraction.ZERO, new Fraction( 2, 1 ),
+  ModelViewTransform2.createSinglePointScaleInvertedYMapping( Vector2.ZERO, new Vector2( 50, 300 ), 100 ) );
+
+QUnit.test( 'proportion', assert => {
+  const numberLine = new FractionNumberLine( new Fraction( -1, 2 ), new Fraction( 3, 2 ), ModelViewTransform2.createIdentity() );
+  assert.ok( numberLine.getProportion( new Fraction( -1, 2 ) ).equals( new Fraction( 0, 1 ) ), 'min' );
+  assert.ok( numberLine.getProportion( new Fraction( 3, 2 ) ).equals( new Fraction( 1, 1 ) ), 'max' );
+  assert.ok( numberLine.getProportion( new Fraction( 1, 3 ) ).equals( new Fraction( 5, 12 ) ), '1/3' );
+  assert.ok( numberLine.fromProportion( new Fraction( 5, 12 ) ).equals( new Fraction( 1, 3 ) ), 'fromProportion' );
+  assert.ok( numberLine.contains( new Fraction( 3, 2 ) ), 'contains max' );
+  assert.ok( !numberLine.contains( new Fraction( 7, 4 ) ), 'does not contain' );
+} );
+
+QUnit.test( 'fraction to view', assert => {
+  const numberLine = createNumberLine();
+  assert.equal( numberLine.fractionToViewX( new Fraction( 3, 4 ) ), 125, 'x' );
+  assert.equal( numberLine.fractionToViewY( new Fraction( 3, 4 ) ), 225, 'y' );
+} );
+
+QUnit.test( 'snap', assert => {
+  const numberLine = createNumberLine();
+
+  assert.ok( numberLine.snapModelPosition( 0.49, 4 ).equals( new Fraction( 2, 4 ) ), 'not reduced' );
+  assert.ok( numberLine.snapModelPosition( 0.3, [ 2, 3, 4 ] ).equals( new Fraction( 1, 3 ) ), 'nearest of denominators' );
+  assert.ok( numberLine.snapModelPosition( 0.5, [ 4, 2 ] ).equals( new Fraction( 2, 4 ) ), 'tie goes to first' );
+  assert.ok( numberLine.snapModelPosition( -0.7, 4 ).equals( new Fraction( 0, 4 ) ), 'clamped to min' );
+  assert.ok( numberLine.snapModelPosition( 5, 3 ).equals( new Fraction( 6, 3 ) ), 'clamped to max' );
+  assert.ok( numberLine.snapViewX( 135, 8 ).equals( new Fraction( 7, 8 ) ), 'snapViewX' );
+  assert.ok( numberLine.snapViewY( 225, 4 ).equals( new Fraction( 3, 4 ) ), 'snapViewY' );
+
+  // a range that contains no fractions with denominator 2
+  const narrow = new FractionNumberLine( new Fraction( 1, 5 ), new Fraction( 2, 5 ), ModelViewTransform2.createIdentity() );
+  assert.ok( narrow.snapModelPosition( 0.3, [ 2, 3 ] ).equals( new Fraction( 1, 3 ) ), 'skips denominator' );
+  window.assert && assert.throws( () => narrow.snapModelPosition( 0.3, 2 ), 'no fractions in range' );
+} );
+
+QUnit.test( 'getFractionsWithDenominator', assert => {
+  const numberLine = new FractionNumberLine( new Fraction( -1, 3 ), new Fraction( 1, 2 ), ModelViewTransform2.createIdentity() );
+  assert.deepEqual( numberLine.getFractionsWithDenominator( 4 ).map( fraction => fraction.toString() ),
+    [ '-1/4', '0/4', '1/4', '2/4' ], 'fourths' );
+} );